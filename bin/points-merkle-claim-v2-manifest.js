@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+const {parseArgs} = require('util');
+const {loadPayouts, buildDistribution, writeManifest} = require('../src/claim/PointsMerkleClaimV2');
+
+const USAGE = `Usage: points-merkle-claim-v2-manifest <payouts.csv|payouts.json> <manifest.json> [options]
+
+Builds the PointsMerkleClaimV2 merkle distribution of a payout list and writes its manifest.
+
+Options:
+  --deposit-reason-code <bytes32>  default deposit reason code of the payouts
+  --deadline <timestamp>           default claim deadline of the payouts
+  --distribution-id <bytes32>      default distribution ID of the payouts
+  --indexed                        build an indexed distribution, to be activated with activateIndexedMerkleRoot
+  --help                           show this message`;
+
+function main(args) {
+  const {values, positionals} = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      'deposit-reason-code': {type: 'string'},
+      deadline: {type: 'string'},
+      'distribution-id': {type: 'string'},
+      indexed: {type: 'boolean', default: false},
+      help: {type: 'boolean', default: false},
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals.length !== 2) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const [payoutsPath, manifestPath] = positionals;
+  const defaults = {};
+  if (values['deposit-reason-code'] !== undefined) defaults.depositReasonCode = values['deposit-reason-code'];
+  if (values.deadline !== undefined) defaults.deadline = values.deadline;
+  if (values['distribution-id'] !== undefined) defaults.distributionId = values['distribution-id'];
+
+  const distribution = buildDistribution(loadPayouts(payoutsPath), defaults, {indexed: values.indexed});
+  writeManifest(distribution, manifestPath);
+  console.log(`root: ${distribution.root}`);
+  console.log(`indexed: ${distribution.indexed}`);
+  console.log(`total amount: ${distribution.totalAmount}`);
+  console.log(`claims: ${distribution.claims.length}`);
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -3,13 +3,51 @@ pragma solidity 0.8.30;
 
 import {IPointsV2} from "../points/interface/IPointsV2.sol";
 import {MerkleProof} from "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {SignatureChecker} from "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
 import {ContractOwnership} from "@animoca/ethereum-contracts/contracts/access/ContractOwnership.sol";
 import {ContractOwnershipStorage} from "@animoca/ethereum-contracts/contracts/access/libraries/ContractOwnershipStorage.sol";
 
-contract PointsMerkleClaimV2 is ContractOwnership {
+contract PointsMerkleClaimV2 is ContractOwnership, EIP712 {
     using MerkleProof for bytes32[];
     using ContractOwnershipStorage for ContractOwnershipStorage.Layout;
 
+    bytes32 private constant CLAIM_TYPEHASH =
+        keccak256("Claim(bytes32 root,bytes32 leaf,address relayer,address receiver,uint256 deadline,uint256 nonce)");
+
+    struct ClaimData {
+        bytes32 root;
+        address holder;
+        uint256 amount;
+        bytes32 depositReasonCode;
+        uint256 deadline;
+        bytes32 distributionId;
+        bytes32[] proof;
+    }
+
+    struct IndexedClaimData {
+        bytes32 root;
+        uint256 index;
+        address holder;
+        uint256 amount;
+        bytes32 depositReasonCode;
+        uint256 deadline;
+        bytes32 distributionId;
+        bytes32[] proof;
+    }
+
+    struct MerkleRootInfo {
+        string uri; // the label or URI of the off-chain manifest
+        uint64 startTime; // 0 means no start time
+        uint64 endTime; // 0 means no end time
+        uint256 declaredTotal; // the total amount of points of the distribution, 0 if not declared
+        uint256 budget; // the maximum total amount of points which can be claimed, 0 means unlimited
+        uint256 claimedAmount;
+        bool isIndexed; // whether the leaves carry an index, with the claims tracked in a bitmap
+        bool activated; // whether the merkle root has been activated before, which fixes whether it is indexed
+        bool finalized; // whether the distribution has been closed and cannot be activated again
+    }
+
     /// @notice a reference to anichess points contract
     IPointsV2 public immutable POINTS;
 
@@ -19,6 +57,15 @@ contract PointsMerkleClaimV2 is ContractOwnership {
     /// @notice A state to determine the leaf has been claimed
     mapping(bytes32 => bool) public claimed;
 
+    /// @notice A state to determine the leaf has been claimed, as a bitmap of leaf indexes per merkle root, for the indexed merkle roots
+    mapping(bytes32 root => mapping(uint256 wordIndex => uint256 bitmap)) public claimedBitmaps;
+
+    /// @notice The signature nonces, per holder and relayer
+    mapping(bytes32 hashHolderRelayer => uint256 nonce) public nonces;
+
+    /// @notice Stores the metadata, the activation window, the declared total, the budget and the claimed amount of the merkle roots
+    mapping(bytes32 => MerkleRootInfo) public rootInfos;
+
     /// @notice Emitted when a new merkle root is activated
     /// @param root The activated merkle root
     event MerkleRootActivated(bytes32 indexed root);
@@ -27,6 +74,24 @@ contract PointsMerkleClaimV2 is ContractOwnership {
     /// @param root The deactivated merkle root
     event MerkleRootDeactivated(bytes32 indexed root);
 
+    /// @notice Emitted when the info of a merkle root is set at activation
+    /// @param root The merkle root
+    /// @param uri The label or URI of the off-chain manifest
+    /// @param startTime The timestamp from which the payouts can be claimed (0 for no start time)
+    /// @param endTime The timestamp until which the payouts can be claimed (0 for no end time)
+    /// @param declaredTotal The total amount of points of the distribution (0 if not declared)
+    /// @param budget The maximum total amount of points which can be claimed (0 for unlimited)
+    /// @param isIndexed Whether the leaves carry an index, with the claims tracked in a bitmap
+    event MerkleRootInfoSet(
+        bytes32 indexed root,
+        string uri,
+        uint64 startTime,
+        uint64 endTime,
+        uint256 declaredTotal,
+        uint256 budget,
+        bool isIndexed
+    );
+
     /// @notice Emitted when a payout is claimed
     /// @param root The merkle root of the claim
     /// @param holder The holder of the points
@@ -43,6 +108,20 @@ contract PointsMerkleClaimV2 is ContractOwnership {
         bytes32 distributionId
     );
 
+    /// @notice Emitted when a distribution is finalized
+    /// @param root The merkle root of the distribution
+    /// @param declaredTotal The total amount of points of the distribution
+    /// @param claimedAmount The total amount of points claimed
+    /// @param unclaimedAmount The amount of points left unclaimed
+    event DistributionFinalized(bytes32 indexed root, uint256 declaredTotal, uint256 claimedAmount, uint256 unclaimedAmount);
+
+    /// @notice Emitted when a payout is claimed by a relayer on behalf of the holder, using the holder's signature
+    /// @param root The merkle root of the claim
+    /// @param holder The holder of the points
+    /// @param receiver The receiver of the points
+    /// @param relayer The relayer which executed the claim
+    event PayoutClaimedWithSignature(bytes32 indexed root, address indexed holder, address indexed receiver, address relayer);
+
     /// @notice Emitted when the claim has expired
     /// @param deadline The deadline of the claim
     error ClaimExpired(uint256 deadline);
@@ -80,25 +159,181 @@ contract PointsMerkleClaimV2 is ContractOwnership {
     /// @param amount The amount of the claim
     error InvalidClaimAmount(uint256 amount);
 
-    constructor(address points) ContractOwnership(msg.sender) {
+    /// @notice Throws when the merkle root has been finalized
+    /// @param root The merkle root
+    error MerkleRootFinalized(bytes32 root);
+
+    /// @notice Throws when the activation window end time is before its start time
+    /// @param startTime The start time of the activation window
+    /// @param endTime The end time of the activation window
+    error InvalidActivationWindow(uint64 startTime, uint64 endTime);
+
+    /// @notice Throws when claiming before the start of the activation window of the merkle root
+    /// @param root The merkle root
+    /// @param startTime The start time of the activation window
+    error MerkleRootNotStarted(bytes32 root, uint64 startTime);
+
+    /// @notice Throws when claiming after the end of the activation window of the merkle root
+    /// @param root The merkle root
+    /// @param endTime The end time of the activation window
+    error MerkleRootEnded(bytes32 root, uint64 endTime);
+
+    /// @notice Throws when a claim would exceed the budget of the merkle root
+    /// @param root The merkle root
+    /// @param budget The budget of the merkle root
+    /// @param claimedAmount The amount already claimed for the merkle root
+    /// @param amount The amount of the claim
+    error MerkleRootBudgetExceeded(bytes32 root, uint256 budget, uint256 claimedAmount, uint256 amount);
+
+    /// @notice Throws when re-activating a merkle root with a budget below the amount already claimed for it
+    /// @param root The merkle root
+    /// @param budget The budget of the merkle root
+    /// @param claimedAmount The amount already claimed for the merkle root
+    error InvalidBudget(bytes32 root, uint256 budget, uint256 claimedAmount);
+
+    /// @notice Throws when activating a merkle root with a zero declared total or a declared total below the amount already claimed for it
+    /// @param root The merkle root
+    /// @param declaredTotal The declared total of the merkle root
+    /// @param claimedAmount The amount already claimed for the merkle root
+    error InvalidDeclaredTotal(bytes32 root, uint256 declaredTotal, uint256 claimedAmount);
+
+    /// @notice Throws when finalizing a merkle root which has not been activated with a declared total
+    /// @param root The merkle root
+    error MissingDeclaredTotal(bytes32 root);
+
+    /// @notice Throws when claiming with, or re-activating with, a leaf format which does not match the one of the merkle root (indexed or not)
+    /// @param root The merkle root
+    error InvalidClaimMode(bytes32 root);
+
+    /// @notice Thrown when the signature is invalid.
+    error InvalidSignature();
+
+    /// @notice Thrown when the signature is expired.
+    error ExpiredSignature();
+
+    constructor(address points) ContractOwnership(msg.sender) EIP712("PointsMerkleClaim", "2") {
         if (points == address(0)) {
             revert InvalidPointsContractAddress(points);
         }
         POINTS = IPointsV2(points);
     }
 
-    /// @notice Activates a new merkle root for claiming
+    /// @notice Activates a merkle root for claiming, keeping the metadata, activation window, declared total, budget and claim mode it was
+    ///  previously activated with, if any
+    /// @dev A merkle root activated without a declared total cannot be finalized
     /// @dev Reverts with {NotContractOwner} if the sender is not the contract owner
     /// @dev Reverts with {MerkleRootAlreadyActivated} if the merkle root is already activated
+    /// @dev Reverts with {MerkleRootFinalized} if the merkle root has been finalized
+    /// @dev Reverts with {InvalidDeclaredTotal} if the declared total of the merkle root is below the amount already claimed for it
     /// @dev Emits a {MerkleRootActivated} event
+    /// @dev Emits a {MerkleRootInfoSet} event
     /// @param newMerkleRoot The merkle root to activate
     function activateMerkleRoot(bytes32 newMerkleRoot) external {
+        MerkleRootInfo storage info = rootInfos[newMerkleRoot];
+        _activateMerkleRoot(newMerkleRoot, info.uri, info.startTime, info.endTime, info.declaredTotal, info.budget, info.isIndexed);
+    }
+
+    /// @notice Activates a new merkle root for claiming, with metadata, an activation window, a declared total and a budget
+    /// @dev Reverts with {NotContractOwner} if the sender is not the contract owner
+    /// @dev Reverts with {MerkleRootAlreadyActivated} if the merkle root is already activated
+    /// @dev Reverts with {MerkleRootFinalized} if the merkle root has been finalized
+    /// @dev Reverts with {InvalidClaimMode} if the merkle root was previously activated with a different leaf format (indexed or not)
+    /// @dev Reverts with {InvalidActivationWindow} if `endTime` is not zero and is before `startTime`
+    /// @dev Reverts with {InvalidDeclaredTotal} if `declaredTotal` is zero or is below the amount already claimed for the merkle root
+    /// @dev Reverts with {InvalidBudget} if `budget` is not zero and is below the amount already claimed for the merkle root
+    /// @dev Emits a {MerkleRootActivated} event
+    /// @dev Emits a {MerkleRootInfoSet} event
+    /// @param newMerkleRoot The merkle root to activate
+    /// @param uri The label or URI of the off-chain manifest
+    /// @param startTime The timestamp from which the payouts can be claimed (0 for no start time)
+    /// @param endTime The timestamp until which the payouts can be claimed (0 for no end time)
+    /// @param declaredTotal The total amount of points of the distribution
+    /// @param budget The maximum total amount of points which can be claimed (0 for unlimited)
+    function activateMerkleRoot(
+        bytes32 newMerkleRoot,
+        string calldata uri,
+        uint64 startTime,
+        uint64 endTime,
+        uint256 declaredTotal,
+        uint256 budget
+    ) external {
+        if (declaredTotal == 0) {
+            revert InvalidDeclaredTotal(newMerkleRoot, declaredTotal, rootInfos[newMerkleRoot].claimedAmount);
+        }
+        _activateMerkleRoot(newMerkleRoot, uri, startTime, endTime, declaredTotal, budget, false);
+    }
+
+    /// @notice Activates a new indexed merkle root for claiming, with metadata, an activation window, a declared total and a budget
+    /// @dev The leaves of an indexed merkle root carry an index and are claimed with {claimIndexed}
+    /// @dev Reverts with {NotContractOwner} if the sender is not the contract owner
+    /// @dev Reverts with {MerkleRootAlreadyActivated} if the merkle root is already activated
+    /// @dev Reverts with {MerkleRootFinalized} if the merkle root has been finalized
+    /// @dev Reverts with {InvalidClaimMode} if the merkle root was previously activated with a different leaf format (indexed or not)
+    /// @dev Reverts with {InvalidActivationWindow} if `endTime` is not zero and is before `startTime`
+    /// @dev Reverts with {InvalidDeclaredTotal} if `declaredTotal` is zero or is below the amount already claimed for the merkle root
+    /// @dev Reverts with {InvalidBudget} if `budget` is not zero and is below the amount already claimed for the merkle root
+    /// @dev Emits a {MerkleRootActivated} event
+    /// @dev Emits a {MerkleRootInfoSet} event
+    /// @param newMerkleRoot The merkle root to activate
+    /// @param uri The label or URI of the off-chain manifest
+    /// @param startTime The timestamp from which the payouts can be claimed (0 for no start time)
+    /// @param endTime The timestamp until which the payouts can be claimed (0 for no end time)
+    /// @param declaredTotal The total amount of points of the distribution
+    /// @param budget The maximum total amount of points which can be claimed (0 for unlimited)
+    function activateIndexedMerkleRoot(
+        bytes32 newMerkleRoot,
+        string calldata uri,
+        uint64 startTime,
+        uint64 endTime,
+        uint256 declaredTotal,
+        uint256 budget
+    ) external {
+        if (declaredTotal == 0) {
+            revert InvalidDeclaredTotal(newMerkleRoot, declaredTotal, rootInfos[newMerkleRoot].claimedAmount);
+        }
+        _activateMerkleRoot(newMerkleRoot, uri, startTime, endTime, declaredTotal, budget, true);
+    }
+
+    function _activateMerkleRoot(
+        bytes32 newMerkleRoot,
+        string memory uri,
+        uint64 startTime,
+        uint64 endTime,
+        uint256 declaredTotal,
+        uint256 budget,
+        bool isIndexed
+    ) internal {
         ContractOwnershipStorage.layout().enforceIsContractOwner(_msgSender());
         if (roots[newMerkleRoot]) {
             revert MerkleRootAlreadyActivated(newMerkleRoot);
         }
+        MerkleRootInfo storage info = rootInfos[newMerkleRoot];
+        if (info.finalized) {
+            revert MerkleRootFinalized(newMerkleRoot);
+        }
+        if (info.activated && info.isIndexed != isIndexed) {
+            revert InvalidClaimMode(newMerkleRoot);
+        }
+        if (endTime != 0 && endTime < startTime) {
+            revert InvalidActivationWindow(startTime, endTime);
+        }
+        uint256 claimedAmount = info.claimedAmount;
+        if (declaredTotal != 0 && declaredTotal < claimedAmount) {
+            revert InvalidDeclaredTotal(newMerkleRoot, declaredTotal, claimedAmount);
+        }
+        if (budget != 0 && budget < claimedAmount) {
+            revert InvalidBudget(newMerkleRoot, budget, claimedAmount);
+        }
         roots[newMerkleRoot] = true;
+        info.uri = uri;
+        info.startTime = startTime;
+        info.endTime = endTime;
+        info.declaredTotal = declaredTotal;
+        info.budget = budget;
+        info.isIndexed = isIndexed;
+        info.activated = true;
         emit MerkleRootActivated(newMerkleRoot);
+        emit MerkleRootInfoSet(newMerkleRoot, uri, startTime, endTime, declaredTotal, budget, isIndexed);
     }
 
     /// @notice Deactivates the merkle root for claiming
@@ -115,12 +350,64 @@ contract PointsMerkleClaimV2 is ContractOwnership {
         emit MerkleRootDeactivated(merkleRoot);
     }
 
+    /// @notice Finalizes the distribution of a merkle root: closes the merkle root for claiming and reports the unclaimed amount
+    /// @dev The merkle root can be finalized whether it is currently activated or has been deactivated
+    /// @dev Reverts with {NotContractOwner} if the sender is not the contract owner
+    /// @dev Reverts with {MerkleRootFinalized} if the merkle root has already been finalized
+    /// @dev Reverts with {MissingDeclaredTotal} if the merkle root has not been activated with a declared total
+    /// @dev Emits a {MerkleRootDeactivated} event if the merkle root is activated
+    /// @dev Emits a {DistributionFinalized} event
+    /// @param merkleRoot The merkle root to finalize
+    function finalizeMerkleRoot(bytes32 merkleRoot) external {
+        ContractOwnershipStorage.layout().enforceIsContractOwner(_msgSender());
+        MerkleRootInfo storage info = rootInfos[merkleRoot];
+        if (info.finalized) {
+            revert MerkleRootFinalized(merkleRoot);
+        }
+        uint256 declaredTotal = info.declaredTotal;
+        if (declaredTotal == 0) {
+            revert MissingDeclaredTotal(merkleRoot);
+        }
+        info.finalized = true;
+        if (roots[merkleRoot]) {
+            roots[merkleRoot] = false;
+            emit MerkleRootDeactivated(merkleRoot);
+        }
+        uint256 claimedAmount = info.claimedAmount;
+        emit DistributionFinalized(merkleRoot, declaredTotal, claimedAmount, declaredTotal > claimedAmount ? declaredTotal - claimedAmount : 0);
+    }
+
+    /// @notice Gets the remaining budget of a merkle root
+    /// @param root The merkle root
+    /// @return remainingBudget The amount of points which can still be claimed (type(uint256).max if the budget is unlimited)
+    function getRemainingBudget(bytes32 root) external view returns (uint256 remainingBudget) {
+        MerkleRootInfo storage info = rootInfos[root];
+        uint256 budget = info.budget;
+        if (budget == 0) {
+            return type(uint256).max;
+        }
+        uint256 claimedAmount = info.claimedAmount;
+        return budget > claimedAmount ? budget - claimedAmount : 0;
+    }
+
+    /// @notice Gets whether the leaf at a given index of an indexed merkle root has been claimed
+    /// @param root The merkle root
+    /// @param index The index of the leaf
+    /// @return Whether the leaf has been claimed
+    function isClaimed(bytes32 root, uint256 index) public view returns (bool) {
+        return claimedBitmaps[root][index >> 8] & (1 << (index & 0xff)) != 0;
+    }
+
     /// @notice Executes the payout for a given holder address (anyone can call this function)
     /// @dev Reverts with {InvalidClaimAmount} if it is claiming a zero amount
     /// @dev Reverts with {ClaimExpired} if the block timestamp is larger than deadline
     /// @dev Reverts with {MerkleRootNotActivated} if the merkle root is not activated
+    /// @dev Reverts with {InvalidClaimMode} if the merkle root is indexed
+    /// @dev Reverts with {MerkleRootNotStarted} if the activation window of the merkle root has not started
+    /// @dev Reverts with {MerkleRootEnded} if the activation window of the merkle root has ended
     /// @dev Reverts with {InvalidProof} if the merkle proof has failed the verification
     /// @dev Reverts with {AlreadyClaimed} if this specific payout has already been claimed
+    /// @dev Reverts with {MerkleRootBudgetExceeded} if the payout would exceed the budget of the merkle root
     /// @dev Emits a {PayoutClaimed} event
     /// @param root The merkle root for this claim
     /// @param distributionId The distribution ID for this claim
@@ -138,27 +425,319 @@ contract PointsMerkleClaimV2 is ContractOwnership {
         bytes32 distributionId,
         bytes32[] calldata proof
     ) external {
-        if (amount == 0) {
-            revert InvalidClaimAmount(amount);
+        _claim(root, holder, amount, depositReasonCode, deadline, distributionId, proof, holder, true);
+    }
+
+    /// @notice Executes several payouts, possibly across several merkle roots, in a single transaction (anyone can call this function)
+    /// @dev If `skipInvalid` is false, reverts with the same errors as {claim} if any of the payouts cannot be claimed
+    /// @dev If `skipInvalid` is true, the payouts which cannot be claimed, including those whose points deposit fails, are skipped
+    /// @dev Emits a {PayoutClaimed} event for each claimed payout
+    /// @param claims The payouts to claim
+    /// @param skipInvalid Whether to skip the invalid payouts instead of reverting
+    /// @return claimedFlags Whether each payout has been claimed (false if skipped)
+    /// @return totalClaimed The total amount of points claimed
+    function claimMany(ClaimData[] calldata claims, bool skipInvalid) external returns (bool[] memory claimedFlags, uint256 totalClaimed) {
+        uint256 length = claims.length;
+        claimedFlags = new bool[](length);
+        for (uint256 i; i < length; ++i) {
+            ClaimData calldata claimData = claims[i];
+            if (
+                _claim(
+                    claimData.root,
+                    claimData.holder,
+                    claimData.amount,
+                    claimData.depositReasonCode,
+                    claimData.deadline,
+                    claimData.distributionId,
+                    claimData.proof,
+                    claimData.holder,
+                    !skipInvalid
+                )
+            ) {
+                claimedFlags[i] = true;
+                totalClaimed += claimData.amount;
+            }
         }
-        if (block.timestamp > deadline) {
-            revert ClaimExpired(deadline);
+    }
+
+    /// @notice Executes the payout of an indexed merkle root for a given holder address (anyone can call this function)
+    /// @dev Reverts with {InvalidClaimAmount} if it is claiming a zero amount
+    /// @dev Reverts with {ClaimExpired} if the block timestamp is larger than deadline
+    /// @dev Reverts with {MerkleRootNotActivated} if the merkle root is not activated
+    /// @dev Reverts with {InvalidClaimMode} if the merkle root is not indexed
+    /// @dev Reverts with {MerkleRootNotStarted} if the activation window of the merkle root has not started
+    /// @dev Reverts with {MerkleRootEnded} if the activation window of the merkle root has ended
+    /// @dev Reverts with {InvalidProof} if the merkle proof has failed the verification
+    /// @dev Reverts with {AlreadyClaimed} if the leaf at this index has already been claimed
+    /// @dev Reverts with {MerkleRootBudgetExceeded} if the payout would exceed the budget of the merkle root
+    /// @dev Emits a {PayoutClaimed} event
+    /// @param claimData The payout to claim, with the index of its leaf in the merkle tree
+    function claimIndexed(IndexedClaimData calldata claimData) external {
+        _claimIndexed(claimData, claimData.holder, true);
+    }
+
+    /// @notice Executes several payouts of indexed merkle roots in a single transaction (anyone can call this function)
+    /// @dev If `skipInvalid` is false, reverts with the same errors as {claimIndexed} if any of the payouts cannot be claimed
+    /// @dev If `skipInvalid` is true, the payouts which cannot be claimed, including those whose points deposit fails, are skipped
+    /// @dev Emits a {PayoutClaimed} event for each claimed payout
+    /// @param claims The payouts to claim
+    /// @param skipInvalid Whether to skip the invalid payouts instead of reverting
+    /// @return claimedFlags Whether each payout has been claimed (false if skipped)
+    /// @return totalClaimed The total amount of points claimed
+    function claimManyIndexed(
+        IndexedClaimData[] calldata claims,
+        bool skipInvalid
+    ) external returns (bool[] memory claimedFlags, uint256 totalClaimed) {
+        uint256 length = claims.length;
+        claimedFlags = new bool[](length);
+        for (uint256 i; i < length; ++i) {
+            IndexedClaimData calldata claimData = claims[i];
+            if (_claimIndexed(claimData, claimData.holder, !skipInvalid)) {
+                claimedFlags[i] = true;
+                totalClaimed += claimData.amount;
+            }
         }
+    }
 
-        if (!roots[root]) {
-            revert MerkleRootNotActivated(root);
+    /// @notice Executes the payout of a non-indexed merkle root on behalf of the holder, who authorized the sender with a signature
+    /// @dev Reverts with {ExpiredSignature} if `signatureDeadline` has passed
+    /// @dev Reverts with {InvalidSignature} if the signature is not valid for the sender as relayer
+    /// @dev Reverts with the same errors as {claim} if the payout cannot be claimed
+    /// @dev Emits a {PayoutClaimed} event
+    /// @dev Emits a {PayoutClaimedWithSignature} event
+    /// @param claimData The payout to claim
+    /// @param receiver The receiver of the points (the holder if zero)
+    /// @param signatureDeadline The deadline timestamp by which the signature must be submitted
+    /// @param signature The holder signature of the typed data `Claim(root,leaf,relayer,receiver,deadline,nonce)`
+    function claimWithSignature(ClaimData calldata claimData, address receiver, uint256 signatureDeadline, bytes calldata signature) external {
+        bytes32 leaf = keccak256(
+            abi.encodePacked(claimData.holder, claimData.amount, claimData.depositReasonCode, claimData.deadline, claimData.distributionId)
+        );
+        address payoutReceiver = _validateSignature(claimData.root, leaf, claimData.holder, receiver, signatureDeadline, signature);
+        _claim(
+            claimData.root,
+            claimData.holder,
+            claimData.amount,
+            claimData.depositReasonCode,
+            claimData.deadline,
+            claimData.distributionId,
+            claimData.proof,
+            payoutReceiver,
+            true
+        );
+    }
+
+    /// @notice Executes the payout of an indexed merkle root on behalf of the holder, who authorized the sender with a signature
+    /// @dev Reverts with {ExpiredSignature} if `signatureDeadline` has passed
+    /// @dev Reverts with {InvalidSignature} if the signature is not valid for the sender as relayer
+    /// @dev Reverts with the same errors as {claimIndexed} if the payout cannot be claimed
+    /// @dev Emits a {PayoutClaimed} event
+    /// @dev Emits a {PayoutClaimedWithSignature} event
+    /// @param claimData The payout to claim
+    /// @param receiver The receiver of the points (the holder if zero)
+    /// @param signatureDeadline The deadline timestamp by which the signature must be submitted
+    /// @param signature The holder signature of the typed data `Claim(root,leaf,relayer,receiver,deadline,nonce)`
+    function claimIndexedWithSignature(
+        IndexedClaimData calldata claimData,
+        address receiver,
+        uint256 signatureDeadline,
+        bytes calldata signature
+    ) external {
+        bytes32 leaf = keccak256(
+            abi.encodePacked(
+                claimData.index,
+                claimData.holder,
+                claimData.amount,
+                claimData.depositReasonCode,
+                claimData.deadline,
+                claimData.distributionId
+            )
+        );
+        address payoutReceiver = _validateSignature(claimData.root, leaf, claimData.holder, receiver, signatureDeadline, signature);
+        _claimIndexed(claimData, payoutReceiver, true);
+    }
+
+    /// @notice Gets the key of the signature nonce of a holder for a relayer
+    /// @param holder The holder
+    /// @param relayer The relayer
+    /// @return The nonce key
+    function getNonceKey(address holder, address relayer) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(holder, relayer));
+    }
+
+    /// @notice Validates a claim signature of a holder for the sender as relayer and consumes its nonce
+    /// @dev Reverts with {ExpiredSignature} if the deadline has passed
+    /// @dev Reverts with {InvalidSignature} if the signature is not valid
+    /// @dev Emits a {PayoutClaimedWithSignature} event
+    /// @return payoutReceiver The receiver of the points
+    function _validateSignature(
+        bytes32 root,
+        bytes32 leaf,
+        address holder,
+        address receiver,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal returns (address payoutReceiver) {
+        require(block.timestamp <= deadline, ExpiredSignature());
+        address relayer = _msgSender();
+        bytes32 nonceKey = getNonceKey(holder, relayer);
+        uint256 nonce = nonces[nonceKey];
+
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(CLAIM_TYPEHASH, root, leaf, relayer, receiver, deadline, nonce)));
+        require(SignatureChecker.isValidSignatureNow(holder, digest, signature), InvalidSignature());
+
+        nonces[nonceKey] = nonce + 1;
+        payoutReceiver = receiver == address(0) ? holder : receiver;
+        emit PayoutClaimedWithSignature(root, holder, payoutReceiver, relayer);
+    }
+
+    /// @notice Executes a payout of a non-indexed merkle root, tracking the claim by leaf hash
+    /// @dev Reverts with the same errors as {claim} if the payout cannot be claimed and `revertOnInvalid` is true
+    /// @dev Returns false if the payout cannot be claimed, or if the points deposit fails, and `revertOnInvalid` is false
+    /// @dev Emits a {PayoutClaimed} event if the payout is claimed
+    /// @param receiver The receiver of the points
+    /// @return Whether the payout has been claimed
+    function _claim(
+        bytes32 root,
+        address holder,
+        uint256 amount,
+        bytes32 depositReasonCode,
+        uint256 deadline,
+        bytes32 distributionId,
+        bytes32[] calldata proof,
+        address receiver,
+        bool revertOnInvalid
+    ) internal returns (bool) {
+        if (!_validateClaim(root, amount, deadline, false, revertOnInvalid)) {
+            return false;
         }
 
         bytes32 leaf = keccak256(abi.encodePacked(holder, amount, depositReasonCode, deadline, distributionId));
         if (!proof.verifyCalldata(root, leaf)) {
-            revert InvalidProof(root, holder, amount, depositReasonCode, deadline, distributionId);
+            if (revertOnInvalid) revert InvalidProof(root, holder, amount, depositReasonCode, deadline, distributionId);
+            return false;
         }
         if (claimed[leaf]) {
-            revert AlreadyClaimed(root, holder, amount, depositReasonCode, deadline, distributionId);
+            if (revertOnInvalid) revert AlreadyClaimed(root, holder, amount, depositReasonCode, deadline, distributionId);
+            return false;
+        }
+        if (!_consumeBudget(root, amount, revertOnInvalid)) {
+            return false;
         }
 
         claimed[leaf] = true;
-        POINTS.deposit(holder, amount, depositReasonCode);
+        if (!_depositPayout(root, receiver, amount, depositReasonCode, revertOnInvalid)) {
+            claimed[leaf] = false;
+            return false;
+        }
         emit PayoutClaimed(root, holder, depositReasonCode, amount, deadline, distributionId);
+        return true;
+    }
+
+    /// @notice Executes a payout of an indexed merkle root, tracking the claim in the merkle root bitmap
+    /// @dev Reverts with the same errors as {claimIndexed} if the payout cannot be claimed and `revertOnInvalid` is true
+    /// @dev Returns false if the payout cannot be claimed, or if the points deposit fails, and `revertOnInvalid` is false
+    /// @dev Emits a {PayoutClaimed} event if the payout is claimed
+    /// @param claimData The payout to claim
+    /// @param receiver The receiver of the points
+    /// @return Whether the payout has been claimed
+    function _claimIndexed(IndexedClaimData calldata claimData, address receiver, bool revertOnInvalid) internal returns (bool) {
+        bytes32 root = claimData.root;
+        uint256 amount = claimData.amount;
+        if (!_validateClaim(root, amount, claimData.deadline, true, revertOnInvalid)) {
+            return false;
+        }
+
+        uint256 index = claimData.index;
+        bytes32 leaf = keccak256(
+            abi.encodePacked(index, claimData.holder, amount, claimData.depositReasonCode, claimData.deadline, claimData.distributionId)
+        );
+        if (!claimData.proof.verifyCalldata(root, leaf)) {
+            if (revertOnInvalid) {
+                revert InvalidProof(root, claimData.holder, amount, claimData.depositReasonCode, claimData.deadline, claimData.distributionId);
+            }
+            return false;
+        }
+        if (isClaimed(root, index)) {
+            if (revertOnInvalid) {
+                revert AlreadyClaimed(root, claimData.holder, amount, claimData.depositReasonCode, claimData.deadline, claimData.distributionId);
+            }
+            return false;
+        }
+        if (!_consumeBudget(root, amount, revertOnInvalid)) {
+            return false;
+        }
+
+        claimedBitmaps[root][index >> 8] |= 1 << (index & 0xff);
+        if (!_depositPayout(root, receiver, amount, claimData.depositReasonCode, revertOnInvalid)) {
+            claimedBitmaps[root][index >> 8] &= ~(1 << (index & 0xff));
+            return false;
+        }
+        emit PayoutClaimed(root, claimData.holder, claimData.depositReasonCode, amount, claimData.deadline, claimData.distributionId);
+        return true;
+    }
+
+    /// @notice Validates the parts of a payout which do not depend on the leaf
+    /// @dev Reverts with the amount, deadline, merkle root and activation window errors of {claim} and {claimIndexed} if `revertOnInvalid` is true
+    /// @return Whether the payout can be claimed
+    function _validateClaim(bytes32 root, uint256 amount, uint256 deadline, bool isIndexed, bool revertOnInvalid) internal view returns (bool) {
+        if (amount == 0) {
+            if (revertOnInvalid) revert InvalidClaimAmount(amount);
+            return false;
+        }
+        if (block.timestamp > deadline) {
+            if (revertOnInvalid) revert ClaimExpired(deadline);
+            return false;
+        }
+
+        if (!roots[root]) {
+            if (revertOnInvalid) revert MerkleRootNotActivated(root);
+            return false;
+        }
+        MerkleRootInfo storage info = rootInfos[root];
+        if (info.isIndexed != isIndexed) {
+            if (revertOnInvalid) revert InvalidClaimMode(root);
+            return false;
+        }
+        if (block.timestamp < info.startTime) {
+            if (revertOnInvalid) revert MerkleRootNotStarted(root, info.startTime);
+            return false;
+        }
+        if (info.endTime != 0 && block.timestamp > info.endTime) {
+            if (revertOnInvalid) revert MerkleRootEnded(root, info.endTime);
+            return false;
+        }
+        return true;
+    }
+
+    /// @notice Adds a payout amount to the claimed amount of a merkle root
+    /// @dev Reverts with {MerkleRootBudgetExceeded} if the payout would exceed the budget of the merkle root and `revertOnInvalid` is true
+    /// @return Whether the payout fits in the budget of the merkle root
+    function _consumeBudget(bytes32 root, uint256 amount, bool revertOnInvalid) internal returns (bool) {
+        MerkleRootInfo storage info = rootInfos[root];
+        uint256 claimedAmount = info.claimedAmount;
+        if (info.budget != 0 && claimedAmount + amount > info.budget) {
+            if (revertOnInvalid) revert MerkleRootBudgetExceeded(root, info.budget, claimedAmount, amount);
+            return false;
+        }
+        info.claimedAmount = claimedAmount + amount;
+        return true;
+    }
+
+    /// @notice Deposits the points of a payout whose amount has been added to the claimed amount of the merkle root
+    /// @dev Reverts with the error of the points deposit if it fails and `revertOnInvalid` is true
+    /// @dev Removes the payout amount from the claimed amount of the merkle root if the deposit fails and `revertOnInvalid` is false
+    /// @return Whether the points have been deposited
+    function _depositPayout(bytes32 root, address receiver, uint256 amount, bytes32 depositReasonCode, bool revertOnInvalid) internal returns (bool) {
+        if (revertOnInvalid) {
+            POINTS.deposit(receiver, amount, depositReasonCode);
+            return true;
+        }
+        try POINTS.deposit(receiver, amount, depositReasonCode) {
+            return true;
+        } catch {
+            rootInfos[root].claimedAmount -= amount;
+            return false;
+        }
     }
 }
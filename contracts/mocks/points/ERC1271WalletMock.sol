@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.30;
+
+import {IERC1271} from "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+
+/// @title ERC1271WalletMock
+/// @notice A smart contract wallet validating the signatures of its owner.
+contract ERC1271WalletMock is IERC1271 {
+    address public immutable OWNER;
+
+    error NotOwner(address sender);
+
+    constructor(address owner) {
+        OWNER = owner;
+    }
+
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4) {
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hash, signature);
+        return error == ECDSA.RecoverError.NoError && signer == OWNER ? IERC1271.isValidSignature.selector : bytes4(0xffffffff);
+    }
+
+    function execute(address target, bytes calldata data) external returns (bytes memory) {
+        require(msg.sender == OWNER, NotOwner(msg.sender));
+        return Address.functionCall(target, data);
+    }
+}
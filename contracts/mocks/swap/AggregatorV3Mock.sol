@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.30;
+
+import {IAggregatorV3} from "../../swap/interfaces/IAggregatorV3.sol";
+
+contract AggregatorV3Mock is IAggregatorV3 {
+    uint8 internal _decimals;
+    uint80 internal _roundId;
+    int256 internal _answer;
+    uint256 internal _updatedAt;
+
+    constructor(uint8 decimals_, int256 answer) {
+        _decimals = decimals_;
+        setAnswer(answer);
+    }
+
+    function setAnswer(int256 answer) public {
+        setRoundData(answer, block.timestamp);
+    }
+
+    function setRoundData(int256 answer, uint256 updatedAt) public {
+        ++_roundId;
+        _answer = answer;
+        _updatedAt = updatedAt;
+    }
+
+    function decimals() external view returns (uint8) {
+        return _decimals;
+    }
+
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        return (_roundId, _answer, _updatedAt, _updatedAt, _roundId);
+    }
+}
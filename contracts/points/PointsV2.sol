@@ -3,9 +3,14 @@ pragma solidity 0.8.30;
 
 import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import {SignatureChecker} from "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import {Arrays} from "@openzeppelin/contracts/utils/Arrays.sol";
 import {AccessControlStorage} from "@animoca/ethereum-contracts/contracts/access/libraries/AccessControlStorage.sol";
 import {AccessControl} from "@animoca/ethereum-contracts/contracts/access/AccessControl.sol";
+import {ContractOwnershipStorage} from "@animoca/ethereum-contracts/contracts/access/libraries/ContractOwnershipStorage.sol";
 import {ContractOwnership} from "@animoca/ethereum-contracts/contracts/access/ContractOwnership.sol";
+import {Pause} from "@animoca/ethereum-contracts/contracts/lifecycle/Pause.sol";
+import {InconsistentArrayLengths} from "@animoca/ethereum-contracts/contracts/CommonErrors.sol";
+import {PauseStorage} from "@animoca/ethereum-contracts/contracts/lifecycle/libraries/PauseStorage.sol";
 import {Context} from "@openzeppelin/contracts/utils/Context.sol";
 import {ForwarderRegistryContext} from "@animoca/ethereum-contracts/contracts/metatx/ForwarderRegistryContext.sol";
 import {ForwarderRegistryContextBase} from "@animoca/ethereum-contracts/contracts/metatx/base/ForwarderRegistryContextBase.sol";
@@ -15,16 +20,99 @@ import {IForwarderRegistry} from "@animoca/ethereum-contracts/contracts/metatx/i
 
 /// @title PointsV2
 /// @notice This contract is designed for managing the point balances of Anichess Game.
-contract PointsV2 is AccessControl, EIP712, ForwarderRegistryContext, IPointsV2 {
+contract PointsV2 is AccessControl, EIP712, Pause, ForwarderRegistryContext, IPointsV2 {
     using AccessControlStorage for AccessControlStorage.Layout;
+    using ContractOwnershipStorage for ContractOwnershipStorage.Layout;
+    using PauseStorage for PauseStorage.Layout;
+    using Arrays for uint256[];
+
+    /// @notice An amount of points expiring at a given timestamp.
+    /// @param expiry The timestamp at which the points expire.
+    /// @param amount The amount of points.
+    struct Lot {
+        uint64 expiry;
+        uint256 amount;
+    }
+
+    /// @notice The lots of a holder.
+    /// @param firstIndex The index of the first lot which has not been consumed or pruned.
+    /// @param totalAmount The total amount of the lots from `firstIndex`, including the expired ones which have not been pruned yet.
+    /// @param lots The lots, sorted by ascending expiry.
+    struct Lots {
+        uint256 firstIndex;
+        uint256 totalAmount;
+        Lot[] lots;
+    }
+
+    /// @notice The deposit caps of a depositor, 0 meaning unlimited.
+    /// @param totalCap The maximum amount the depositor can deposit in total.
+    /// @param periodCap The maximum amount the depositor can deposit within any rolling period.
+    /// @param period The duration of a period, in seconds.
+    struct DepositorCaps {
+        uint256 totalCap;
+        uint256 periodCap;
+        uint64 period;
+    }
+
+    /// @notice The balances of a holder recorded before their first change after a snapshot.
+    /// @param ids The ids of the snapshots, in ascending order.
+    /// @param balances The balances at the time of the snapshots.
+    struct Snapshots {
+        uint256[] ids;
+        uint256[] balances;
+    }
+
+    /// @notice The amounts deposited by a depositor, counted while the depositor has a cap.
+    /// @dev The deposits are counted towards the period cap in buckets lasting a {DEPOSITOR_CAP_PERIOD_BUCKETS}th of the period.
+    /// @param totalDeposited The amount deposited in total.
+    /// @param periodDeposited The amount deposited during the rolling period ending with the bucket `lastBucket`.
+    /// @param lastBucket The number of the last bucket in which a deposit was made.
+    /// @param bucketAmounts The amounts deposited per bucket, indexed by the bucket number modulo {DEPOSITOR_CAP_PERIOD_BUCKETS} + 1.
+    struct DepositorUsage {
+        uint256 totalDeposited;
+        uint256 periodDeposited;
+        uint64 lastBucket;
+        mapping(uint256 index => uint256 amount) bucketAmounts;
+    }
 
     bytes32 private constant APPROVE_TYPEHASH = keccak256("Approve(address holder,address spender,uint256 amount,uint256 deadline,uint256 nonce)");
     bytes32 private constant SPEND_TYPEHASH = keccak256("Spend(address holder,address spender,uint256 amount,uint256 deadline,uint256 nonce)");
+    bytes32 private constant SPEND_AND_CALL_TYPEHASH =
+        keccak256("SpendAndCall(address holder,uint256 amount,address target,bytes data,uint256 deadline,uint256 nonce)");
 
     bytes32 public constant DEPOSITOR_ROLE = keccak256("DEPOSITOR_ROLE");
+    bytes32 public constant DEBITOR_ROLE = keccak256("DEBITOR_ROLE");
+    bytes32 public constant FREEZER_ROLE = keccak256("FREEZER_ROLE");
+    bytes32 public constant SNAPSHOT_ROLE = keccak256("SNAPSHOT_ROLE");
+
+    /// @notice The expiries of the deposits are rounded up to a multiple of this value.
+    uint64 public constant LOT_EXPIRY_GRANULARITY = 1 days;
+
+    /// @notice The maximum number of unexpired lots a holder can hold for a deposit to credit it with a lot of a new expiry.
+    uint256 public constant MAX_DEPOSIT_HOLDER_LOTS = 128;
+
+    /// @notice The maximum number of unexpired lots a recipient can hold for a transfer to credit it with a lot of a new expiry.
+    uint256 public constant MAX_TRANSFER_RECIPIENT_LOTS = 32;
+
+    /// @notice The number of buckets a period is divided into to count the deposits towards the period cap of a depositor.
+    uint256 public constant DEPOSITOR_CAP_PERIOD_BUCKETS = 10;
 
     mapping(address holder => mapping(address spender => uint256 amount)) public allowances;
-    mapping(address holder => uint256 balance) public balances;
+    mapping(address holder => mapping(address spender => uint64 validUntil)) public allowanceExpiries;
+    mapping(address holder => uint256 balance) public nonExpiringBalances;
+    mapping(bytes32 depositReasonCode => uint64 duration) public depositReasonExpiryDurations;
+    mapping(address holder => Lots lots) private _lots;
+    mapping(address depositor => DepositorCaps caps) public depositorCaps;
+    mapping(address depositor => DepositorUsage usage) public depositorUsages;
+    mapping(address holder => bool isFrozen) public frozen;
+
+    bool public transfersEnabled;
+    uint256 public transferDailyCap;
+    mapping(bytes32 transferReasonCode => bool isAllowed) public allowedTransferReasons;
+    mapping(address holder => mapping(uint256 day => uint256 amount)) public dailyTransferredAmounts;
+
+    uint256[] private _snapshotTimestamps;
+    mapping(address holder => Snapshots snapshots) private _snapshots;
     mapping(bytes32 hashHolderSpender => uint256 nonce) public nonces;
 
     /// @notice Thrown when depositing to the zero address
@@ -33,6 +121,61 @@ contract PointsV2 is AccessControl, EIP712, ForwarderRegistryContext, IPointsV2
     /// @notice Thrown when depositing zero amount
     error DepositZeroAmount();
 
+    /// @notice Thrown when depositing or approving with an expiry which has already passed, or depositing with an expiry which cannot be rounded up
+    /// @param expiry The given expiry.
+    error InvalidExpiry(uint64 expiry);
+
+    /// @notice Thrown when setting a period cap with a zero period
+    /// @param depositor The depositor.
+    error InvalidDepositorCapPeriod(address depositor);
+
+    /// @notice Thrown when a deposit exceeds the remaining cap of the depositor
+    /// @param depositor The depositor.
+    /// @param remainingCap The remaining cap of the depositor.
+    /// @param amount The amount of the deposit.
+    error DepositorCapExceeded(address depositor, uint256 remainingCap, uint256 amount);
+
+    /// @notice Thrown when depositing to, approving from or spending from a frozen holder
+    /// @param holder The frozen holder.
+    error HolderFrozen(address holder);
+
+    /// @notice Thrown when a frozen spender spends from another holder
+    /// @param spender The frozen spender.
+    error SpenderFrozen(address spender);
+
+    /// @notice Thrown when transferring while the transfers are disabled
+    error TransfersDisabled();
+
+    /// @notice Thrown when transferring for a reason code which is not allowed
+    /// @param transferReasonCode The reason code of the transfer.
+    error TransferReasonNotAllowed(bytes32 transferReasonCode);
+
+    /// @notice Thrown when transferring to the zero address
+    /// @param holder The holder of the balance transferred from.
+    error TransferToAddressZero(address holder);
+
+    /// @notice Thrown when a holder transfers to itself
+    /// @param holder The holder of the balance.
+    error TransferToSelf(address holder);
+
+    /// @notice Thrown when a deposit or a transfer would credit a holder already holding the maximum number of lots with a lot of a new expiry
+    /// @param holder The holder credited by the deposit or the transfer.
+    /// @param maxLots The maximum number of lots.
+    error TooManyLots(address holder, uint256 maxLots);
+
+    /// @notice Thrown when a transfer exceeds the remaining daily transfer cap of the holder
+    /// @param holder The holder of the balance transferred from.
+    /// @param remainingCap The remaining daily transfer cap of the holder.
+    /// @param amount The amount of the transfer.
+    error TransferDailyCapExceeded(address holder, uint256 remainingCap, uint256 amount);
+
+    /// @notice Thrown when querying a snapshot which has not been taken
+    /// @param snapshotId The snapshot id.
+    error NonexistentSnapshot(uint256 snapshotId);
+
+    /// @notice Thrown when debiting zero amount
+    error DebitZeroAmount();
+
     /// @notice Thrown when the holder does not have enough balance
     /// @param holder The given holder address.
     /// @param availableBalance The available balance.
@@ -56,62 +199,636 @@ contract PointsV2 is AccessControl, EIP712, ForwarderRegistryContext, IPointsV2
     /// @notice Thrown when the signature is expired.
     error ExpiredSignature();
 
+    /// @notice Thrown when a signed spend is not submitted by its spender.
+    /// @param sender The sender of the transaction.
+    /// @param spender The spender of the signed spend.
+    error SenderIsNotSpender(address sender, address spender);
+
+    /// @notice Thrown when invalidating nonces with a new nonce which is not greater than the current nonce.
+    /// @param holder The holder of the nonce.
+    /// @param spender The spender of the nonce.
+    /// @param currentNonce The current nonce.
+    /// @param newNonce The new nonce.
+    error InvalidNonce(address holder, address spender, uint256 currentNonce, uint256 newNonce);
+
     error CallbackRejected(address spender, uint256 amount, address target, bytes data);
 
+    /// @notice Emitted when the expiry duration of the deposits for a reason code is set.
+    /// @param depositReasonCode The reason code of the deposits.
+    /// @param duration The expiry duration, 0 meaning that the deposits do not expire.
+    event DepositReasonExpiryDurationSet(bytes32 indexed depositReasonCode, uint64 duration);
+
+    /// @notice Emitted when the deposit caps of a depositor are set.
+    /// @param depositor The depositor.
+    /// @param totalCap The maximum amount the depositor can deposit in total, 0 meaning unlimited.
+    /// @param periodCap The maximum amount the depositor can deposit within any rolling period, 0 meaning unlimited.
+    /// @param period The duration of a period, in seconds.
+    event DepositorCapsSet(address indexed depositor, uint256 totalCap, uint256 periodCap, uint64 period);
+
+    /// @notice Emitted when a holder is frozen.
+    /// @param holder The holder.
+    /// @param operator The freezer who froze the holder.
+    event Frozen(address indexed holder, address indexed operator);
+
+    /// @notice Emitted when a holder is unfrozen.
+    /// @param holder The holder.
+    /// @param operator The freezer who unfroze the holder.
+    event Unfrozen(address indexed holder, address indexed operator);
+
+    /// @notice Emitted when the transfers are enabled or disabled.
+    /// @param enabled Whether the transfers are enabled.
+    event TransfersEnabledSet(bool enabled);
+
+    /// @notice Emitted when a transfer reason code is allowed or disallowed.
+    /// @param transferReasonCode The reason code.
+    /// @param allowed Whether the reason code is allowed.
+    event TransferReasonAllowedSet(bytes32 indexed transferReasonCode, bool allowed);
+
+    /// @notice Emitted when the daily transfer cap per holder is set.
+    /// @param cap The daily transfer cap, 0 meaning unlimited.
+    event TransferDailyCapSet(uint256 cap);
+
+    /// @notice Emitted when a balance snapshot is taken.
+    /// @param snapshotId The id of the snapshot.
+    /// @param timestamp The timestamp of the snapshot.
+    event SnapshotTaken(uint256 indexed snapshotId, uint256 timestamp);
+
     constructor(
         IForwarderRegistry forwarderRegistry
-    ) ForwarderRegistryContext(forwarderRegistry) ContractOwnership(msg.sender) EIP712("Points", "2") {}
+    ) ForwarderRegistryContext(forwarderRegistry) ContractOwnership(msg.sender) EIP712("Points", "2") Pause(false) {}
+
+    /// @notice Freezes a holder, preventing deposits to, approvals from and spends from and by the holder.
+    /// @dev Reverts with {NotRoleHolder} if sender does not have Freezer role.
+    /// @dev Emits a {Frozen} event.
+    /// @param holder The holder to freeze.
+    function freeze(address holder) external {
+        address operator = _msgSender();
+        AccessControlStorage.layout().enforceHasRole(FREEZER_ROLE, operator);
+        frozen[holder] = true;
+        emit Frozen(holder, operator);
+    }
+
+    /// @notice Unfreezes a holder.
+    /// @dev Reverts with {NotRoleHolder} if sender does not have Freezer role.
+    /// @dev Emits an {Unfrozen} event.
+    /// @param holder The holder to unfreeze.
+    function unfreeze(address holder) external {
+        address operator = _msgSender();
+        AccessControlStorage.layout().enforceHasRole(FREEZER_ROLE, operator);
+        frozen[holder] = false;
+        emit Unfrozen(holder, operator);
+    }
+
+    /// @notice Sets the expiry duration of the deposits made for a reason code.
+    /// @dev The expiries of the deposits are rounded up to a multiple of {LOT_EXPIRY_GRANULARITY}, so that the deposits of a same day share a lot.
+    /// @dev Reverts with {NotContractOwner} if the sender is not the contract owner.
+    /// @dev Emits a {DepositReasonExpiryDurationSet} event.
+    /// @param depositReasonCode The reason code of the deposits.
+    /// @param duration The expiry duration, 0 meaning that the deposits do not expire.
+    function setDepositReasonExpiryDuration(bytes32 depositReasonCode, uint64 duration) external {
+        ContractOwnershipStorage.layout().enforceIsContractOwner(_msgSender());
+        depositReasonExpiryDurations[depositReasonCode] = duration;
+        emit DepositReasonExpiryDurationSet(depositReasonCode, duration);
+    }
+
+    /// @notice Sets the deposit caps of a depositor.
+    /// @dev The deposits are only counted while the depositor has a cap, and the amounts already counted count towards the new caps.
+    /// @dev The period cap applies to a rolling window: each deposit counts towards it for at least a full period and at most one bucket more.
+    /// @dev When the period changes, the amount deposited during the current rolling period counts towards the period cap for a full new period.
+    /// @dev Reverts with {NotContractOwner} if the sender is not the contract owner.
+    /// @dev Reverts with {InvalidDepositorCapPeriod} if `periodCap` is not zero and `period` is zero.
+    /// @dev Emits a {DepositorCapsSet} event.
+    /// @param depositor The depositor.
+    /// @param totalCap The maximum amount the depositor can deposit in total, 0 meaning unlimited.
+    /// @param periodCap The maximum amount the depositor can deposit within any rolling period, 0 meaning unlimited.
+    /// @param period The duration of a period, in seconds.
+    function setDepositorCaps(address depositor, uint256 totalCap, uint256 periodCap, uint64 period) external {
+        ContractOwnershipStorage.layout().enforceIsContractOwner(_msgSender());
+        require(periodCap == 0 || period != 0, InvalidDepositorCapPeriod(depositor));
+        uint64 previousPeriod = depositorCaps[depositor].period;
+        if (period != previousPeriod && period != 0) {
+            DepositorUsage storage usage = depositorUsages[depositor];
+            uint256 periodDeposited = _getPeriodDeposited(usage, previousPeriod);
+            uint256 currentBucket = block.timestamp / _getBucketDuration(period);
+            for (uint256 index; index <= DEPOSITOR_CAP_PERIOD_BUCKETS; ++index) {
+                delete usage.bucketAmounts[index];
+            }
+            usage.bucketAmounts[currentBucket % (DEPOSITOR_CAP_PERIOD_BUCKETS + 1)] = periodDeposited;
+            usage.periodDeposited = periodDeposited;
+            usage.lastBucket = uint64(currentBucket);
+        }
+        depositorCaps[depositor] = DepositorCaps(totalCap, periodCap, period);
+        emit DepositorCapsSet(depositor, totalCap, periodCap, period);
+    }
+
+    /// @notice Gets the cap usage of a depositor.
+    /// @param depositor The depositor.
+    /// @return totalDeposited The amount deposited in total.
+    /// @return periodDeposited The amount deposited during the current rolling period.
+    /// @return remainingCap The amount the depositor can still deposit, or the max uint256 value if unlimited.
+    function getDepositorCapUsage(address depositor) public view returns (uint256 totalDeposited, uint256 periodDeposited, uint256 remainingCap) {
+        DepositorCaps storage caps = depositorCaps[depositor];
+        DepositorUsage storage usage = depositorUsages[depositor];
+        totalDeposited = usage.totalDeposited;
+        periodDeposited = _getPeriodDeposited(usage, caps.period);
+
+        remainingCap = type(uint256).max;
+        uint256 totalCap = caps.totalCap;
+        if (totalCap != 0) {
+            remainingCap = totalCap > totalDeposited ? totalCap - totalDeposited : 0;
+        }
+        uint256 periodCap = caps.periodCap;
+        if (periodCap != 0) {
+            uint256 periodRemainingCap = periodCap > periodDeposited ? periodCap - periodDeposited : 0;
+            if (periodRemainingCap < remainingCap) {
+                remainingCap = periodRemainingCap;
+            }
+        }
+    }
 
     /// @notice Called by a depositor to increase the balance of a holder.
+    /// @dev The deposit expires after the expiry duration set for the reason code, if any, rounded up to a multiple of {LOT_EXPIRY_GRANULARITY}.
+    /// @dev Reverts with {Paused} if the contract is paused.
     /// @dev Reverts with {NotRoleHolder} if sender does not have Depositor role.
     /// @dev Reverts with {DepositToAddressZero} if deposit is made to the zero address.
+    /// @dev Reverts with {HolderFrozen} if the holder is frozen.
     /// @dev Reverts with {DepositZeroAmount} if deposit amount is zero.
+    /// @dev Reverts with {DepositorCapExceeded} if the amount exceeds the remaining cap of the depositor.
+    /// @dev Reverts with {TooManyLots} if the deposit credits a lot of a new expiry to a holder holding {MAX_DEPOSIT_HOLDER_LOTS} unexpired lots.
     /// @dev Emits a {Deposited} event if amount has been successfully added to the holder's balance
+    /// @dev Emits a {LotDeposited} event if the deposit expires.
     /// @param holder The holder of the balance to deposit to.
     /// @param amount The amount to deposit.
     /// @param depositReasonCode The reason code of the deposit.
     function deposit(address holder, uint256 amount, bytes32 depositReasonCode) external {
-        address depositor = _msgSender();
+        _deposit(holder, amount, depositReasonCode, _getDepositExpiry(depositReasonCode));
+    }
+
+    /// @inheritdoc IPointsV2
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {NotRoleHolder} if sender does not have Depositor role.
+    /// @dev Reverts with {InconsistentArrayLengths} if `holders` and `amounts` have different lengths.
+    /// @dev Reverts with {DepositToAddressZero} if a deposit is made to the zero address.
+    /// @dev Reverts with {HolderFrozen} if a holder is frozen.
+    /// @dev Reverts with {DepositZeroAmount} if a deposit amount is zero.
+    /// @dev Reverts with {DepositorCapExceeded} if an amount exceeds the remaining cap of the depositor.
+    /// @dev Reverts with {TooManyLots} if a deposit credits a lot of a new expiry to a holder holding {MAX_DEPOSIT_HOLDER_LOTS} unexpired lots.
+    function batchDeposit(address[] calldata holders, uint256[] calldata amounts, bytes32 depositReasonCode) external {
+        uint256 length = holders.length;
+        require(length == amounts.length, InconsistentArrayLengths());
+        address depositor = _enforceIsDepositor();
+        uint64 expiry = _getDepositExpiry(depositReasonCode);
+        for (uint256 i; i < length; ++i) {
+            _deposit(depositor, holders[i], amounts[i], depositReasonCode, expiry);
+        }
+    }
+
+    function _getDepositExpiry(bytes32 depositReasonCode) internal view returns (uint64 expiry) {
+        uint64 duration = depositReasonExpiryDurations[depositReasonCode];
+        if (duration == 0) return 0;
+        return _roundUpExpiry(uint64(block.timestamp) + duration);
+    }
+
+    /// @dev Rounds up an expiry to a multiple of {LOT_EXPIRY_GRANULARITY}, so that the deposits expiring on a same day share a lot.
+    /// @dev Reverts with {InvalidExpiry} if the rounded expiry does not fit in 64 bits.
+    function _roundUpExpiry(uint64 expiry) internal pure returns (uint64) {
+        uint256 roundedExpiry = ((uint256(expiry) + LOT_EXPIRY_GRANULARITY - 1) / LOT_EXPIRY_GRANULARITY) * LOT_EXPIRY_GRANULARITY;
+        require(roundedExpiry <= type(uint64).max, InvalidExpiry(expiry));
+        return uint64(roundedExpiry);
+    }
+
+    /// @inheritdoc IPointsV2
+    /// @dev The expiry is rounded up to a multiple of {LOT_EXPIRY_GRANULARITY}.
+    /// @dev Reverts with {InvalidExpiry} if the expiry is not zero and has already passed, or if it cannot be rounded up.
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {NotRoleHolder} if sender does not have Depositor role.
+    /// @dev Reverts with {DepositToAddressZero} if deposit is made to the zero address.
+    /// @dev Reverts with {HolderFrozen} if the holder is frozen.
+    /// @dev Reverts with {DepositZeroAmount} if deposit amount is zero.
+    /// @dev Reverts with {DepositorCapExceeded} if the amount exceeds the remaining cap of the depositor.
+    /// @dev Reverts with {TooManyLots} if the deposit credits a lot of a new expiry to a holder holding {MAX_DEPOSIT_HOLDER_LOTS} unexpired lots.
+    function depositWithExpiry(address holder, uint256 amount, bytes32 depositReasonCode, uint64 expiry) external {
+        if (expiry != 0) {
+            require(expiry > block.timestamp, InvalidExpiry(expiry));
+            expiry = _roundUpExpiry(expiry);
+        }
+        _deposit(holder, amount, depositReasonCode, expiry);
+    }
+
+    function _deposit(address holder, uint256 amount, bytes32 depositReasonCode, uint64 expiry) internal {
+        _deposit(_enforceIsDepositor(), holder, amount, depositReasonCode, expiry);
+    }
+
+    function _enforceIsDepositor() internal view returns (address depositor) {
+        PauseStorage.layout().enforceIsNotPaused();
+        depositor = _msgSender();
         AccessControlStorage.layout().enforceHasRole(DEPOSITOR_ROLE, depositor);
+    }
 
+    function _deposit(address depositor, address holder, uint256 amount, bytes32 depositReasonCode, uint64 expiry) internal {
         require(holder != address(0), DepositToAddressZero());
+        require(!frozen[holder], HolderFrozen(holder));
         require(amount != 0, DepositZeroAmount());
+        _consumeDepositorCap(depositor, amount);
+        _updateSnapshot(holder);
 
-        balances[holder] += amount;
+        if (expiry == 0) {
+            nonExpiringBalances[holder] += amount;
+        } else {
+            _addLot(holder, expiry, amount, MAX_DEPOSIT_HOLDER_LOTS);
+        }
 
         emit Deposited(depositor, depositReasonCode, holder, amount);
     }
 
+    function _consumeDepositorCap(address depositor, uint256 amount) internal {
+        DepositorCaps storage caps = depositorCaps[depositor];
+        if (caps.totalCap == 0 && caps.periodCap == 0) return;
+
+        (uint256 totalDeposited, uint256 periodDeposited, uint256 remainingCap) = getDepositorCapUsage(depositor);
+        require(amount <= remainingCap, DepositorCapExceeded(depositor, remainingCap, amount));
+
+        DepositorUsage storage usage = depositorUsages[depositor];
+        usage.totalDeposited = totalDeposited + amount;
+        uint64 period = caps.period;
+        if (period == 0) return;
+
+        uint256 currentBucket = block.timestamp / _getBucketDuration(period);
+        _clearBuckets(usage, usage.lastBucket, currentBucket);
+        usage.bucketAmounts[currentBucket % (DEPOSITOR_CAP_PERIOD_BUCKETS + 1)] += amount;
+        usage.periodDeposited = periodDeposited + amount;
+        usage.lastBucket = uint64(currentBucket);
+    }
+
+    /// @dev Gets the amount deposited during the current rolling period, the buckets older than a period being dropped from the amount recorded.
+    function _getPeriodDeposited(DepositorUsage storage usage, uint64 period) internal view returns (uint256 periodDeposited) {
+        if (period == 0) return 0;
+        uint256 currentBucket = block.timestamp / _getBucketDuration(period);
+        uint256 lastBucket = usage.lastBucket;
+        if (currentBucket - lastBucket > DEPOSITOR_CAP_PERIOD_BUCKETS) return 0;
+        periodDeposited = usage.periodDeposited;
+        for (uint256 bucket = lastBucket + 1; bucket <= currentBucket; ++bucket) {
+            periodDeposited -= usage.bucketAmounts[bucket % (DEPOSITOR_CAP_PERIOD_BUCKETS + 1)];
+        }
+    }
+
+    /// @dev Clears the amounts of the buckets after `lastBucket` up to `currentBucket`, whose indexes are reused.
+    function _clearBuckets(DepositorUsage storage usage, uint256 lastBucket, uint256 currentBucket) internal {
+        if (currentBucket - lastBucket > DEPOSITOR_CAP_PERIOD_BUCKETS) {
+            lastBucket = currentBucket - DEPOSITOR_CAP_PERIOD_BUCKETS - 1;
+        }
+        for (uint256 bucket = lastBucket + 1; bucket <= currentBucket; ++bucket) {
+            delete usage.bucketAmounts[bucket % (DEPOSITOR_CAP_PERIOD_BUCKETS + 1)];
+        }
+    }
+
+    function _getBucketDuration(uint64 period) internal pure returns (uint256 bucketDuration) {
+        return (uint256(period) + DEPOSITOR_CAP_PERIOD_BUCKETS - 1) / DEPOSITOR_CAP_PERIOD_BUCKETS;
+    }
+
+    /// @dev Inserts the lot in the holder's lots, which are kept sorted by ascending expiry, merging it with a lot of same expiry.
+    /// @dev The expired lots of the holder are pruned first.
+    /// @dev Reverts with {TooManyLots} if the lot cannot be merged while the holder already has `maxLots` unexpired lots.
+    function _addLot(address holder, uint64 expiry, uint256 amount, uint256 maxLots) internal {
+        Lots storage holderLots = _lots[holder];
+        Lot[] storage lots = holderLots.lots;
+        uint256 firstIndex = _pruneExpiredLots(holderLots);
+        holderLots.totalAmount += amount;
+        uint256 index = lots.length;
+        while (index > firstIndex && lots[index - 1].expiry > expiry) {
+            --index;
+        }
+        if (index > firstIndex && lots[index - 1].expiry == expiry) {
+            lots[index - 1].amount += amount;
+        } else {
+            require(lots.length - firstIndex < maxLots, TooManyLots(holder, maxLots));
+            lots.push();
+            for (uint256 i = lots.length - 1; i > index; --i) {
+                lots[i] = lots[i - 1];
+            }
+            lots[index] = Lot(expiry, amount);
+        }
+        emit LotDeposited(holder, expiry, amount);
+    }
+
+    /// @dev Deletes the expired lots at the start of the holder's lots.
+    /// @return firstIndex The index of the first unexpired lot.
+    function _pruneExpiredLots(Lots storage holderLots) internal returns (uint256 firstIndex) {
+        Lot[] storage lots = holderLots.lots;
+        uint256 length = lots.length;
+        firstIndex = holderLots.firstIndex;
+        uint256 expiredAmount;
+        while (firstIndex < length && lots[firstIndex].expiry <= block.timestamp) {
+            expiredAmount += lots[firstIndex].amount;
+            delete lots[firstIndex];
+            ++firstIndex;
+        }
+        if (expiredAmount != 0) {
+            holderLots.firstIndex = firstIndex;
+            holderLots.totalAmount -= expiredAmount;
+        }
+    }
+
+    /// @notice Gets the balance of a holder, excluding the expired points.
+    /// @param holder The holder of the balance.
+    /// @return balance The balance of the holder.
+    function balances(address holder) public view returns (uint256 balance) {
+        return _balanceAt(holder, block.timestamp);
+    }
+
+    /// @dev Gets the balance of a holder with the current lots, excluding the points expired at `timestamp`.
+    /// @dev The lots being sorted by ascending expiry, only the lots expired at `timestamp` are iterated.
+    function _balanceAt(address holder, uint256 timestamp) internal view returns (uint256 balance) {
+        Lots storage holderLots = _lots[holder];
+        balance = nonExpiringBalances[holder] + holderLots.totalAmount;
+        Lot[] storage lots = holderLots.lots;
+        uint256 length = lots.length;
+        for (uint256 i = holderLots.firstIndex; i < length; ++i) {
+            Lot storage lot = lots[i];
+            if (lot.expiry > timestamp) break;
+            balance -= lot.amount;
+        }
+    }
+
+    /// @notice Takes a snapshot of the balances.
+    /// @dev Reverts with {NotRoleHolder} if sender does not have Snapshot role.
+    /// @dev Emits a {SnapshotTaken} event.
+    /// @return snapshotId The id of the snapshot.
+    function snapshot() external returns (uint256 snapshotId) {
+        AccessControlStorage.layout().enforceHasRole(SNAPSHOT_ROLE, _msgSender());
+        _snapshotTimestamps.push(block.timestamp);
+        snapshotId = _snapshotTimestamps.length;
+        emit SnapshotTaken(snapshotId, block.timestamp);
+    }
+
+    /// @notice Gets the id of the last snapshot taken.
+    /// @return snapshotId The id of the last snapshot, or 0 if no snapshot has been taken.
+    function currentSnapshotId() public view returns (uint256 snapshotId) {
+        return _snapshotTimestamps.length;
+    }
+
+    /// @notice Gets the timestamp of a snapshot.
+    /// @dev Reverts with {NonexistentSnapshot} if the snapshot has not been taken.
+    /// @param snapshotId The id of the snapshot.
+    /// @return timestamp The timestamp of the snapshot.
+    function getSnapshotTimestamp(uint256 snapshotId) public view returns (uint256 timestamp) {
+        require(snapshotId != 0 && snapshotId <= _snapshotTimestamps.length, NonexistentSnapshot(snapshotId));
+        return _snapshotTimestamps[snapshotId - 1];
+    }
+
+    /// @notice Gets the balance of a holder at the time of a snapshot, excluding the points expired at that time.
+    /// @dev Reverts with {NonexistentSnapshot} if the snapshot has not been taken.
+    /// @param holder The holder of the balance.
+    /// @param snapshotId The id of the snapshot.
+    /// @return balance The balance of the holder at the time of the snapshot.
+    function balanceOfAt(address holder, uint256 snapshotId) external view returns (uint256 balance) {
+        uint256 timestamp = getSnapshotTimestamp(snapshotId);
+        Snapshots storage snapshots = _snapshots[holder];
+        uint256 index = snapshots.ids.lowerBound(snapshotId);
+        if (index == snapshots.ids.length) {
+            // the balance has not changed since the snapshot
+            return _balanceAt(holder, timestamp);
+        }
+        return snapshots.balances[index];
+    }
+
+    /// @dev Records the balance of a holder for the current snapshot, before its first change since the snapshot.
+    function _updateSnapshot(address holder) internal {
+        uint256 currentId = _snapshotTimestamps.length;
+        if (currentId == 0) return;
+        Snapshots storage snapshots = _snapshots[holder];
+        uint256 length = snapshots.ids.length;
+        uint256 lastId = length == 0 ? 0 : snapshots.ids[length - 1];
+        if (lastId == currentId) return;
+
+        uint256 balance = _recordLotExpiries(holder, snapshots, lastId, _snapshotTimestamps[currentId - 1]);
+        snapshots.ids.push(currentId);
+        snapshots.balances.push(balance);
+    }
+
+    /// @dev The balance of a holder decreases between the snapshots taken since its last record when its lots expire.
+    /// @dev Records the balance of the holder for the last snapshot before each of these expiries.
+    /// @return balance The balance of the holder at `currentTimestamp`.
+    function _recordLotExpiries(
+        address holder,
+        Snapshots storage snapshots,
+        uint256 lastId,
+        uint256 currentTimestamp
+    ) internal returns (uint256 balance) {
+        uint256 firstTimestamp = _snapshotTimestamps[lastId];
+        balance = _balanceAt(holder, firstTimestamp);
+        uint256 recordedId = lastId;
+        Lot[] storage lots = _lots[holder].lots;
+        for (uint256 i = _lots[holder].firstIndex; i < lots.length; ++i) {
+            uint256 expiry = lots[i].expiry;
+            if (expiry <= firstTimestamp) continue;
+            if (expiry > currentTimestamp) break;
+            uint256 snapshotId = _snapshotTimestamps.lowerBound(expiry);
+            if (snapshotId != recordedId) {
+                snapshots.ids.push(snapshotId);
+                snapshots.balances.push(balance);
+                recordedId = snapshotId;
+            }
+            balance -= lots[i].amount;
+        }
+    }
+
+    /// @notice Gets the unexpired lots of a holder, sorted by ascending expiry.
+    /// @param holder The holder of the lots.
+    /// @return lots The unexpired lots of the holder.
+    function getLots(address holder) external view returns (Lot[] memory lots) {
+        Lot[] storage holderLots = _lots[holder].lots;
+        uint256 length = holderLots.length;
+        uint256 index = _lots[holder].firstIndex;
+        while (index < length && holderLots[index].expiry <= block.timestamp) {
+            ++index;
+        }
+        lots = new Lot[](length - index);
+        for (uint256 i; i < lots.length; ++i) {
+            lots[i] = holderLots[index + i];
+        }
+    }
+
+    /// @dev Decreases the balance of a holder, consuming the soonest-expiring lots first, then the non-expiring balance.
+    /// @dev If `recipient` is not the zero address, the consumed amounts are credited to it with the same expiries.
+    /// @dev Reverts with {TooManyLots} if crediting `recipient` would exceed {MAX_TRANSFER_RECIPIENT_LOTS} unexpired lots.
+    /// @dev Reverts with {InsufficientBalance} if the holder does not have enough balance.
+    /// @dev Emits a {LotConsumed} event for each lot consumed.
+    function _decreaseBalance(address holder, uint256 amount, address recipient) internal {
+        _updateSnapshot(holder);
+        if (recipient != address(0)) {
+            _updateSnapshot(recipient);
+        }
+
+        Lots storage holderLots = _lots[holder];
+        Lot[] storage lots = holderLots.lots;
+        uint256 length = lots.length;
+        uint256 index = holderLots.firstIndex;
+        uint256 remainingAmount = amount;
+        uint256 removedAmount;
+        while (remainingAmount != 0 && index < length) {
+            Lot storage lot = lots[index];
+            uint64 expiry = lot.expiry;
+            uint256 lotAmount = lot.amount;
+            if (expiry > block.timestamp) {
+                if (lotAmount > remainingAmount) {
+                    lot.amount = lotAmount - remainingAmount;
+                    removedAmount += remainingAmount;
+                    _consumeLot(holder, expiry, remainingAmount, recipient);
+                    remainingAmount = 0;
+                    break;
+                }
+                remainingAmount -= lotAmount;
+                _consumeLot(holder, expiry, lotAmount, recipient);
+            }
+            removedAmount += lotAmount;
+            delete lots[index];
+            ++index;
+        }
+        holderLots.firstIndex = index;
+        holderLots.totalAmount -= removedAmount;
+
+        if (remainingAmount != 0) {
+            uint256 nonExpiringBalance = nonExpiringBalances[holder];
+            require(nonExpiringBalance >= remainingAmount, InsufficientBalance(holder, amount - remainingAmount + nonExpiringBalance, amount));
+            nonExpiringBalances[holder] = nonExpiringBalance - remainingAmount;
+            if (recipient != address(0)) {
+                nonExpiringBalances[recipient] += remainingAmount;
+            }
+        }
+    }
+
+    function _consumeLot(address holder, uint64 expiry, uint256 amount, address recipient) internal {
+        emit LotConsumed(holder, expiry, amount);
+        if (recipient != address(0)) {
+            _addLot(recipient, expiry, amount, MAX_TRANSFER_RECIPIENT_LOTS);
+        }
+    }
+
+    /// @notice Called by a debitor to decrease the balance of a holder, eg. to correct a wrongful deposit.
+    /// @dev Can be called while the contract is paused or the holder is frozen.
+    /// @dev Reverts with {NotRoleHolder} if sender does not have Debitor role.
+    /// @dev Reverts with {DebitZeroAmount} if debit amount is zero.
+    /// @dev Reverts with {InsufficientBalance} if the holder does not have enough balance.
+    /// @dev Emits a {Debited} event if amount has been successfully removed from the holder's balance
+    /// @param holder The holder of the balance to debit from.
+    /// @param amount The amount to debit.
+    /// @param reasonCode The reason code of the debit.
+    function debit(address holder, uint256 amount, bytes32 reasonCode) external {
+        address debitor = _msgSender();
+        AccessControlStorage.layout().enforceHasRole(DEBITOR_ROLE, debitor);
+
+        require(amount != 0, DebitZeroAmount());
+
+        _decreaseBalance(holder, amount, address(0));
+
+        emit Debited(debitor, reasonCode, holder, amount);
+    }
+
     /// @inheritdoc IPointsV2
+    /// @dev Reverts with {Paused} if the contract is paused.
     /// @dev Reverts with {ApprovalToAddressZero} if the spender is the zero address.
+    /// @dev Reverts with {HolderFrozen} if the sender is frozen.
     function approve(address spender, uint256 amount) external {
         _approve(_msgSender(), spender, amount);
     }
 
+    /// @inheritdoc IPointsV2
+    /// @dev Reverts with {InvalidExpiry} if `validUntil` has already passed.
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {ApprovalToAddressZero} if the spender is the zero address.
+    /// @dev Reverts with {HolderFrozen} if the sender is frozen.
+    function approveUntil(address spender, uint256 amount, uint64 validUntil) external {
+        require(validUntil > block.timestamp, InvalidExpiry(validUntil));
+        address holder = _msgSender();
+        _approve(holder, spender, amount);
+        allowanceExpiries[holder][spender] = validUntil;
+        emit ApprovalExpirySet(holder, spender, validUntil);
+    }
+
+    /// @notice Gets the effective allowance of a spender for a holder, which is zero if the allowance has expired.
+    /// @param holder The holder of the balance.
+    /// @param spender The spender.
+    /// @return allowance The effective allowance.
+    function allowance(address holder, address spender) public view returns (uint256) {
+        uint64 validUntil = allowanceExpiries[holder][spender];
+        if (validUntil != 0 && validUntil <= block.timestamp) return 0;
+        return allowances[holder][spender];
+    }
+
     function _approve(address holder, address spender, uint256 amount) internal {
+        PauseStorage.layout().enforceIsNotPaused();
         if (spender == address(0)) revert ApprovalToAddressZero(holder);
+        require(!frozen[holder], HolderFrozen(holder));
         allowances[holder][spender] = amount;
+        delete allowanceExpiries[holder][spender];
         emit Approval(holder, spender, amount);
     }
 
     /// @inheritdoc IPointsV2
     /// @dev Reverts with {ExpiredSignature} if the deadline has passed.
     /// @dev Reverts with {InvalidSignature} if the signature is not valid.
+    /// @dev Reverts with {Paused} if the contract is paused.
     /// @dev Reverts with {ApprovalToAddressZero} if the spender is the zero address.
+    /// @dev Reverts with {HolderFrozen} if the holder is frozen.
     function approveWithSignature(address holder, address spender, uint256 amount, uint256 deadline, bytes calldata signature) external {
-        _validateSignature(holder, spender, amount, deadline, signature);
+        _validateSignature(APPROVE_TYPEHASH, holder, spender, amount, deadline, signature);
         _approve(holder, spender, amount);
     }
 
-    function _validateSignature(address holder, address spender, uint256 amount, uint256 deadline, bytes calldata signature) internal {
+    /// @inheritdoc IPointsV2
+    /// @dev Reverts with {SenderIsNotSpender} if the sender is not the spender.
+    /// @dev Reverts with {ExpiredSignature} if the deadline has passed.
+    /// @dev Reverts with {InvalidSignature} if the signature is not valid.
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {HolderFrozen} if the holder is frozen.
+    /// @dev Reverts with {SpenderFrozen} if the spender is frozen.
+    /// @dev Reverts with {InsufficientBalance} if the holder does not have enough balance.
+    function spendWithSignature(address holder, address spender, uint256 amount, uint256 deadline, bytes calldata signature) external {
+        address sender = _msgSender();
+        require(spender == sender, SenderIsNotSpender(sender, spender));
+        _validateSignature(SPEND_TYPEHASH, holder, spender, amount, deadline, signature);
+        _spend(spender, holder, amount);
+    }
+
+    function _validateSignature(
+        bytes32 typeHash,
+        address holder,
+        address spender,
+        uint256 amount,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal {
         require(block.timestamp <= deadline, ExpiredSignature());
+        uint256 nonce = _useNonce(holder, spender);
+        _verifySignature(holder, keccak256(abi.encode(typeHash, holder, spender, amount, deadline, nonce)), signature);
+    }
+
+    /// @inheritdoc IPointsV2
+    /// @dev Reverts with {InvalidNonce} if `newNonce` is not greater than the current nonce.
+    function invalidateNonce(address spender, uint256 newNonce) external {
+        address holder = _msgSender();
         bytes32 nonceKey = getNonceKey(holder, spender);
-        uint256 nonce = nonces[nonceKey];
+        uint256 currentNonce = nonces[nonceKey];
+        require(newNonce > currentNonce, InvalidNonce(holder, spender, currentNonce, newNonce));
+        nonces[nonceKey] = newNonce;
+        emit NonceInvalidated(holder, spender, newNonce);
+    }
 
-        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(APPROVE_TYPEHASH, holder, spender, amount, deadline, nonce)));
-        require(SignatureChecker.isValidSignatureNow(holder, digest, signature), InvalidSignature());
+    /// @inheritdoc IPointsV2
+    function cancelSignature(address spender) external {
+        _useNonce(_msgSender(), spender);
+    }
 
+    function _useNonce(address holder, address spender) internal returns (uint256 nonce) {
+        bytes32 nonceKey = getNonceKey(holder, spender);
+        nonce = nonces[nonceKey];
         nonces[nonceKey] = nonce + 1;
+        emit NonceUsed(holder, spender, nonce);
+    }
+
+    function _verifySignature(address holder, bytes32 structHash, bytes calldata signature) internal view {
+        require(SignatureChecker.isValidSignatureNow(holder, _hashTypedDataV4(structHash), signature), InvalidSignature());
     }
 
     function getNonceKey(address holder, address spender) public pure returns (bytes32) {
@@ -119,6 +836,9 @@ contract PointsV2 is AccessControl, EIP712, ForwarderRegistryContext, IPointsV2
     }
 
     /// @inheritdoc IPointsV2
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {HolderFrozen} if the holder is frozen.
+    /// @dev Reverts with {SpenderFrozen} if the spender is frozen.
     /// @dev Reverts with {InsufficientBalance} if the holder does not have enough balance.
     /// @dev Reverts with {InsufficientAllowance} if the allowance is insufficient.
     function spendFrom(address holder, uint256 amount) external {
@@ -127,16 +847,30 @@ contract PointsV2 is AccessControl, EIP712, ForwarderRegistryContext, IPointsV2
         _spend(spender, holder, amount);
     }
 
+    /// @inheritdoc IPointsV2
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {HolderFrozen} if the holder is frozen.
+    /// @dev Reverts with {SpenderFrozen} if the spender is frozen.
+    /// @dev Reverts with {InsufficientBalance} if the holder does not have enough balance.
+    /// @dev Reverts with {InsufficientAllowance} if the allowance is insufficient.
+    function spendFrom(address holder, uint256 amount, bytes32 spendReasonCode) external {
+        address spender = _msgSender();
+        _decreaseAllowance(holder, spender, amount);
+        _spend(spender, holder, amount);
+        emit SpentWithReason(spender, spendReasonCode, holder, amount);
+    }
+
     function _spend(address spender, address holder, uint256 amount) internal {
-        uint256 balance = balances[holder];
-        require(balance >= amount, InsufficientBalance(holder, balance, amount));
-        balances[holder] = balance - amount;
+        PauseStorage.layout().enforceIsNotPaused();
+        require(!frozen[holder], HolderFrozen(holder));
+        require(!frozen[spender], SpenderFrozen(spender));
+        _decreaseBalance(holder, amount, address(0));
         emit Spent(spender, holder, amount);
     }
 
     function _decreaseAllowance(address holder, address spender, uint256 amount) internal {
         if (holder != spender) {
-            uint256 currentAllowance = allowances[holder][spender];
+            uint256 currentAllowance = allowance(holder, spender);
             if (currentAllowance < amount) {
                 revert InsufficientAllowance(holder, spender, currentAllowance, amount);
             }
@@ -147,17 +881,156 @@ contract PointsV2 is AccessControl, EIP712, ForwarderRegistryContext, IPointsV2
     }
 
     /// @inheritdoc IPointsV2
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {HolderFrozen} if the holder is frozen.
+    /// @dev Reverts with {SpenderFrozen} if the spender is frozen.
     /// @dev Reverts with {InsufficientBalance} if the holder does not have enough balance.
     /// @dev Reverts with {CallbackRejected} if the callback reverts or does not return the expected value.
     function spendAndCall(uint256 amount, address target, bytes calldata data) external {
-        address spender = _msgSender();
-        _spend(spender, spender, amount);
+        _spendAndCall(_msgSender(), amount, target, data);
+    }
+
+    /// @inheritdoc IPointsV2
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {HolderFrozen} if the holder is frozen.
+    /// @dev Reverts with {SpenderFrozen} if the spender is frozen.
+    /// @dev Reverts with {InsufficientBalance} if the holder does not have enough balance.
+    /// @dev Reverts with {CallbackRejected} if the callback reverts or does not return the expected value.
+    function spendAndCall(uint256 amount, address target, bytes calldata data, bytes32 spendReasonCode) external {
+        address holder = _msgSender();
+        _spend(holder, holder, amount);
+        emit SpentWithReason(holder, spendReasonCode, holder, amount);
+        _callSpendingCallback(holder, amount, target, data);
+    }
+
+    /// @inheritdoc IPointsV2
+    /// @dev Reverts with {ExpiredSignature} if the deadline has passed.
+    /// @dev Reverts with {InvalidSignature} if the signature is not valid.
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {HolderFrozen} if the holder is frozen.
+    /// @dev Reverts with {SpenderFrozen} if the spender is frozen.
+    /// @dev Reverts with {InsufficientBalance} if the holder does not have enough balance.
+    /// @dev Reverts with {CallbackRejected} if the callback reverts or does not return the expected value.
+    function spendAndCallWithSignature(
+        address holder,
+        uint256 amount,
+        address target,
+        bytes calldata data,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        require(block.timestamp <= deadline, ExpiredSignature());
+        uint256 nonce = _useNonce(holder, target);
+        _verifySignature(holder, keccak256(abi.encode(SPEND_AND_CALL_TYPEHASH, holder, amount, target, keccak256(data), deadline, nonce)), signature);
+        _spendAndCall(holder, amount, target, data);
+    }
+
+    function _spendAndCall(address holder, uint256 amount, address target, bytes calldata data) internal {
+        _spend(holder, holder, amount);
+        _callSpendingCallback(holder, amount, target, data);
+    }
+
+    function _callSpendingCallback(address holder, uint256 amount, address target, bytes calldata data) internal {
         require(
-            IPointsV2SpendingCallback(target).onPointsSpent(spender, amount, data) == IPointsV2SpendingCallback.onPointsSpent.selector,
-            CallbackRejected(spender, amount, target, data)
+            IPointsV2SpendingCallback(target).onPointsSpent(holder, amount, data) == IPointsV2SpendingCallback.onPointsSpent.selector,
+            CallbackRejected(holder, amount, target, data)
         );
     }
 
+    /// @notice Enables or disables the transfers.
+    /// @dev Reverts with {NotContractOwner} if the sender is not the contract owner.
+    /// @dev Emits a {TransfersEnabledSet} event.
+    /// @param enabled Whether the transfers are enabled.
+    function setTransfersEnabled(bool enabled) external {
+        ContractOwnershipStorage.layout().enforceIsContractOwner(_msgSender());
+        transfersEnabled = enabled;
+        emit TransfersEnabledSet(enabled);
+    }
+
+    /// @notice Allows or disallows a transfer reason code.
+    /// @dev Reverts with {NotContractOwner} if the sender is not the contract owner.
+    /// @dev Emits a {TransferReasonAllowedSet} event.
+    /// @param transferReasonCode The reason code.
+    /// @param allowed Whether the reason code is allowed.
+    function setTransferReasonAllowed(bytes32 transferReasonCode, bool allowed) external {
+        ContractOwnershipStorage.layout().enforceIsContractOwner(_msgSender());
+        allowedTransferReasons[transferReasonCode] = allowed;
+        emit TransferReasonAllowedSet(transferReasonCode, allowed);
+    }
+
+    /// @notice Sets the amount each holder can transfer per day.
+    /// @dev Reverts with {NotContractOwner} if the sender is not the contract owner.
+    /// @dev Emits a {TransferDailyCapSet} event.
+    /// @param cap The daily transfer cap, 0 meaning unlimited.
+    function setTransferDailyCap(uint256 cap) external {
+        ContractOwnershipStorage.layout().enforceIsContractOwner(_msgSender());
+        transferDailyCap = cap;
+        emit TransferDailyCapSet(cap);
+    }
+
+    /// @notice Gets the amount a holder can still transfer today.
+    /// @param holder The holder.
+    /// @return remainingCap The remaining daily transfer cap of the holder, or the max uint256 value if unlimited.
+    function getRemainingDailyTransfer(address holder) public view returns (uint256 remainingCap) {
+        uint256 cap = transferDailyCap;
+        if (cap == 0) return type(uint256).max;
+        uint256 transferred = dailyTransferredAmounts[holder][block.timestamp / 1 days];
+        return cap > transferred ? cap - transferred : 0;
+    }
+
+    /// @inheritdoc IPointsV2
+    /// @dev Reverts with {TransfersDisabled} if the transfers are disabled.
+    /// @dev Reverts with {TransferReasonNotAllowed} if the reason code is not allowed.
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {TransferToAddressZero} if the recipient is the zero address.
+    /// @dev Reverts with {TransferToSelf} if the recipient is the sender.
+    /// @dev Reverts with {HolderFrozen} if the sender or the recipient is frozen.
+    /// @dev Reverts with {TransferDailyCapExceeded} if the amount exceeds the remaining daily transfer cap of the sender.
+    /// @dev Reverts with {InsufficientBalance} if the sender does not have enough balance.
+    /// @dev Reverts with {TooManyLots} if the recipient would hold more than {MAX_TRANSFER_RECIPIENT_LOTS} unexpired lots.
+    function transfer(address to, uint256 amount, bytes32 transferReasonCode) external {
+        address holder = _msgSender();
+        _transfer(holder, holder, to, amount, transferReasonCode);
+    }
+
+    /// @inheritdoc IPointsV2
+    /// @dev Reverts with {InsufficientAllowance} if the allowance is insufficient.
+    /// @dev Reverts with {TransfersDisabled} if the transfers are disabled.
+    /// @dev Reverts with {TransferReasonNotAllowed} if the reason code is not allowed.
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {TransferToAddressZero} if the recipient is the zero address.
+    /// @dev Reverts with {TransferToSelf} if the recipient is the holder.
+    /// @dev Reverts with {HolderFrozen} if the holder or the recipient is frozen.
+    /// @dev Reverts with {SpenderFrozen} if the sender is frozen.
+    /// @dev Reverts with {TransferDailyCapExceeded} if the amount exceeds the remaining daily transfer cap of the holder.
+    /// @dev Reverts with {InsufficientBalance} if the holder does not have enough balance.
+    /// @dev Reverts with {TooManyLots} if the recipient would hold more than {MAX_TRANSFER_RECIPIENT_LOTS} unexpired lots.
+    function transferFrom(address from, address to, uint256 amount, bytes32 transferReasonCode) external {
+        address spender = _msgSender();
+        _decreaseAllowance(from, spender, amount);
+        _transfer(spender, from, to, amount, transferReasonCode);
+    }
+
+    function _transfer(address spender, address from, address to, uint256 amount, bytes32 transferReasonCode) internal {
+        require(transfersEnabled, TransfersDisabled());
+        require(allowedTransferReasons[transferReasonCode], TransferReasonNotAllowed(transferReasonCode));
+        PauseStorage.layout().enforceIsNotPaused();
+        require(to != address(0), TransferToAddressZero(from));
+        require(to != from, TransferToSelf(from));
+        require(!frozen[from], HolderFrozen(from));
+        require(!frozen[to], HolderFrozen(to));
+        require(!frozen[spender], SpenderFrozen(spender));
+
+        uint256 remainingCap = getRemainingDailyTransfer(from);
+        require(amount <= remainingCap, TransferDailyCapExceeded(from, remainingCap, amount));
+        if (transferDailyCap != 0) {
+            dailyTransferredAmounts[from][block.timestamp / 1 days] += amount;
+        }
+
+        _decreaseBalance(from, amount, to);
+        emit Transferred(spender, from, to, transferReasonCode, amount);
+    }
+
     /// @inheritdoc ForwarderRegistryContextBase
     function _msgSender() internal view virtual override(Context, ForwarderRegistryContextBase) returns (address) {
         return ForwarderRegistryContextBase._msgSender();
@@ -9,18 +9,71 @@ interface IPointsV2 {
     /// @param amount The amount deposited.
     event Deposited(address indexed depositor, bytes32 indexed reasonCode, address indexed holder, uint256 amount);
 
+    /// @notice Emitted when an expiring amount is deposited to a balance.
+    /// @dev Lots of a same holder and expiry are merged together.
+    /// @param holder The holder of the balance deposited to.
+    /// @param expiry The timestamp at which the amount expires.
+    /// @param amount The amount deposited.
+    event LotDeposited(address indexed holder, uint64 indexed expiry, uint256 amount);
+
+    /// @notice Emitted when an amount is consumed from an unexpired lot, by a spend or a debit.
+    /// @param holder The holder of the balance.
+    /// @param expiry The expiry of the lot.
+    /// @param amount The amount consumed.
+    event LotConsumed(address indexed holder, uint64 indexed expiry, uint256 amount);
+
+    /// @notice Emitted when an amount is debited from a balance, outside of spending.
+    /// @param debitor The debitor.
+    /// @param reasonCode The reason code of the debit.
+    /// @param holder The holder of the balance debited from.
+    /// @param amount The amount debited.
+    event Debited(address indexed debitor, bytes32 indexed reasonCode, address indexed holder, uint256 amount);
+
     /// @notice Emitted when an approval is made.
     /// @param holder The holder of the balance.
     /// @param spender The spender allowed to spend the balance.
     /// @param amount The amount approved.
     event Approval(address indexed holder, address indexed spender, uint256 amount);
 
+    /// @notice Emitted when an approval is made with an expiry.
+    /// @param holder The holder of the balance.
+    /// @param spender The spender allowed to spend the balance.
+    /// @param validUntil The timestamp at which the allowance expires.
+    event ApprovalExpirySet(address indexed holder, address indexed spender, uint64 validUntil);
+
     /// @notice Emitted when an amount is spent from a balance.
     /// @param spender The spender of the balance.
     /// @param holder The holder of the balance spent from.
     /// @param amount The amount spent.
     event Spent(address indexed spender, address indexed holder, uint256 amount);
 
+    /// @notice Emitted with a {Spent} event when an amount is spent from a balance for a given reason code.
+    /// @param spender The spender of the balance.
+    /// @param reasonCode The reason code of the spend.
+    /// @param holder The holder of the balance spent from.
+    /// @param amount The amount spent.
+    event SpentWithReason(address indexed spender, bytes32 indexed reasonCode, address indexed holder, uint256 amount);
+
+    /// @notice Emitted when an amount is transferred from a balance to another.
+    /// @param spender The spender who made the transfer.
+    /// @param from The holder of the balance transferred from.
+    /// @param to The holder of the balance transferred to.
+    /// @param reasonCode The reason code of the transfer.
+    /// @param amount The amount transferred.
+    event Transferred(address spender, address indexed from, address indexed to, bytes32 indexed reasonCode, uint256 amount);
+
+    /// @notice Emitted when a signature nonce is used, either by a signature or by a cancellation.
+    /// @param holder The holder of the nonce.
+    /// @param spender The spender of the nonce, or the callback target for the spend and call signatures.
+    /// @param nonce The nonce used.
+    event NonceUsed(address indexed holder, address indexed spender, uint256 nonce);
+
+    /// @notice Emitted when the signature nonces below a new nonce are invalidated.
+    /// @param holder The holder of the nonce.
+    /// @param spender The spender of the nonce, or the callback target for the spend and call signatures.
+    /// @param newNonce The new nonce.
+    event NonceInvalidated(address indexed holder, address indexed spender, uint256 newNonce);
+
     /// @notice Deposits an amount to a holder's balance for a given reason code.
     /// @dev Emits a {Deposited} event.
     /// @param holder The holder of the balance to deposit to.
@@ -28,12 +81,45 @@ interface IPointsV2 {
     /// @param depositReasonCode The reason code for the deposit.
     function deposit(address holder, uint256 amount, bytes32 depositReasonCode) external;
 
+    /// @notice Deposits amounts to holders' balances for a given reason code.
+    /// @dev Emits a {Deposited} event for each holder.
+    /// @param holders The holders of the balances to deposit to.
+    /// @param amounts The amounts to deposit, one per holder.
+    /// @param depositReasonCode The reason code for the deposits.
+    function batchDeposit(address[] calldata holders, uint256[] calldata amounts, bytes32 depositReasonCode) external;
+
+    /// @notice Deposits an amount to a holder's balance for a given reason code, with an explicit expiry.
+    /// @dev Emits a {Deposited} event.
+    /// @dev Emits a {LotDeposited} event if the expiry is not zero.
+    /// @param holder The holder of the balance to deposit to.
+    /// @param amount The amount to deposit.
+    /// @param depositReasonCode The reason code for the deposit.
+    /// @param expiry The timestamp at which the amount expires, 0 meaning that the amount does not expire.
+    function depositWithExpiry(address holder, uint256 amount, bytes32 depositReasonCode, uint64 expiry) external;
+
+    /// @notice Debits an amount from a holder's balance for a given reason code.
+    /// @dev Emits a {Debited} event.
+    /// @param holder The holder of the balance to debit from.
+    /// @param amount The amount to debit.
+    /// @param reasonCode The reason code for the debit.
+    function debit(address holder, uint256 amount, bytes32 reasonCode) external;
+
     /// @notice Approves a spender to spend an amount from the caller's balance.
+    /// @dev Clears the expiry of a previous time-bound approval.
     /// @dev Emits an {Approval} event.
     /// @param spender The spender allowed to spend the balance.
     /// @param amount The amount approved.
     function approve(address spender, uint256 amount) external;
 
+    /// @notice Approves a spender to spend an amount from the caller's balance until a given time, eg. for a session key.
+    /// @dev Once expired, the allowance is treated as zero.
+    /// @dev Emits an {Approval} event.
+    /// @dev Emits an {ApprovalExpirySet} event.
+    /// @param spender The spender allowed to spend the balance.
+    /// @param amount The amount approved.
+    /// @param validUntil The timestamp at which the allowance expires.
+    function approveUntil(address spender, uint256 amount, uint64 validUntil) external;
+
     /// @notice Approves a spender to spend an amount from a holder's balance using a signature.
     /// @dev Emits an {Approval} event.
     /// @param holder The holder of the balance.
@@ -43,6 +129,29 @@ interface IPointsV2 {
     /// @param signature The signature of the approval.
     function approveWithSignature(address holder, address spender, uint256 amount, uint256 deadline, bytes calldata signature) external;
 
+    /// @notice Spends an amount from a holder's balance using a signature, without requiring an allowance.
+    /// @dev The signature nonce is shared with {approveWithSignature}.
+    /// @dev Emits a {Spent} event.
+    /// @param holder The holder of the balance to spend from.
+    /// @param spender The spender of the balance, which must be the caller.
+    /// @param amount The amount to spend.
+    /// @param deadline The deadline timestamp by which the signature must be submitted.
+    /// @param signature The signature of the spend.
+    function spendWithSignature(address holder, address spender, uint256 amount, uint256 deadline, bytes calldata signature) external;
+
+    /// @notice Invalidates all the outstanding signatures of the caller for a spender with a nonce lower than `newNonce`.
+    /// @dev For the spend and call signatures, `spender` is the callback target.
+    /// @dev Emits a {NonceInvalidated} event.
+    /// @param spender The spender of the signatures.
+    /// @param newNonce The new nonce.
+    function invalidateNonce(address spender, uint256 newNonce) external;
+
+    /// @notice Cancels the outstanding signature of the caller for a spender, by using the current nonce.
+    /// @dev For the spend and call signatures, `spender` is the callback target.
+    /// @dev Emits a {NonceUsed} event.
+    /// @param spender The spender of the signature.
+    function cancelSignature(address spender) external;
+
     /// @notice Spends an amount from a holder's balance.
     /// @dev Emits an {Approval} event if the caller is not the holder.
     /// @dev Emits a {Spent} event.
@@ -50,10 +159,65 @@ interface IPointsV2 {
     /// @param amount The amount to spend.
     function spendFrom(address holder, uint256 amount) external;
 
+    /// @notice Spends an amount from a holder's balance for a given reason code.
+    /// @dev Emits an {Approval} event if the caller is not the holder.
+    /// @dev Emits a {Spent} event.
+    /// @dev Emits a {SpentWithReason} event.
+    /// @param holder The holder of the balance to spend from.
+    /// @param amount The amount to spend.
+    /// @param spendReasonCode The reason code of the spend.
+    function spendFrom(address holder, uint256 amount, bytes32 spendReasonCode) external;
+
+    /// @notice Transfers an amount from the caller's balance to another holder, for an allowed reason code.
+    /// @dev The expiring amounts keep their expiry.
+    /// @dev Emits a {Transferred} event.
+    /// @param to The holder of the balance to transfer to.
+    /// @param amount The amount to transfer.
+    /// @param transferReasonCode The reason code of the transfer.
+    function transfer(address to, uint256 amount, bytes32 transferReasonCode) external;
+
+    /// @notice Transfers an amount from a holder's balance to another holder using the allowance of the caller, for an allowed reason code.
+    /// @dev The expiring amounts keep their expiry.
+    /// @dev Emits an {Approval} event if the caller is not the holder.
+    /// @dev Emits a {Transferred} event.
+    /// @param from The holder of the balance to transfer from.
+    /// @param to The holder of the balance to transfer to.
+    /// @param amount The amount to transfer.
+    /// @param transferReasonCode The reason code of the transfer.
+    function transferFrom(address from, address to, uint256 amount, bytes32 transferReasonCode) external;
+
     /// @notice Spends an amount and calls a target contract with data.
     /// @dev Emits a {Spent} event.
     /// @param amount The amount to spend.
     /// @param target The target contract to call.
     /// @param data The data to call the target contract with.
     function spendAndCall(uint256 amount, address target, bytes calldata data) external;
+
+    /// @notice Spends an amount for a given reason code and calls a target contract with data.
+    /// @dev Emits a {Spent} event.
+    /// @dev Emits a {SpentWithReason} event.
+    /// @param amount The amount to spend.
+    /// @param target The target contract to call.
+    /// @param data The data to call the target contract with.
+    /// @param spendReasonCode The reason code of the spend.
+    function spendAndCall(uint256 amount, address target, bytes calldata data, bytes32 spendReasonCode) external;
+
+    /// @notice Spends an amount from a holder's balance and calls a target contract with data, using a signature of the holder.
+    /// @dev The callback receives the holder as the spender.
+    /// @dev The signature nonce is keyed by the holder and the target.
+    /// @dev Emits a {Spent} event.
+    /// @param holder The holder of the balance to spend from.
+    /// @param amount The amount to spend.
+    /// @param target The target contract to call.
+    /// @param data The data to call the target contract with.
+    /// @param deadline The deadline timestamp by which the signature must be submitted.
+    /// @param signature The signature of the spend and call.
+    function spendAndCallWithSignature(
+        address holder,
+        uint256 amount,
+        address target,
+        bytes calldata data,
+        uint256 deadline,
+        bytes calldata signature
+    ) external;
 }
@@ -1,60 +1,703 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.30;
 
+import {AccessControl} from "@animoca/ethereum-contracts/contracts/access/AccessControl.sol";
 import {ContractOwnership} from "@animoca/ethereum-contracts/contracts/access/ContractOwnership.sol";
-import {PayoutWallet} from "@animoca/ethereum-contracts/contracts/payment/PayoutWallet.sol";
 import {Context} from "@openzeppelin/contracts/utils/Context.sol";
 import {ForwarderRegistryContextBase} from "@animoca/ethereum-contracts/contracts/metatx/base/ForwarderRegistryContextBase.sol";
 import {ForwarderRegistryContext} from "@animoca/ethereum-contracts/contracts/metatx/ForwarderRegistryContext.sol";
-import {PayoutWalletStorage} from "@animoca/ethereum-contracts/contracts/payment/libraries/PayoutWalletStorage.sol";
+import {AccessControlStorage} from "@animoca/ethereum-contracts/contracts/access/libraries/AccessControlStorage.sol";
+import {PauseStorage} from "@animoca/ethereum-contracts/contracts/lifecycle/libraries/PauseStorage.sol";
+import {Pause} from "@animoca/ethereum-contracts/contracts/lifecycle/Pause.sol";
+import {ERC20Receiver} from "@animoca/ethereum-contracts/contracts/token/ERC20/ERC20Receiver.sol";
+import {ZeroAddressPayoutWallet} from "@animoca/ethereum-contracts/contracts/payment/errors/PayoutWalletErrors.sol";
 import {SafeERC20, IERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
 import {IPointsV2} from "../points/interface/IPointsV2.sol";
+import {IAggregatorV3} from "./interfaces/IAggregatorV3.sol";
 import {IForwarderRegistry} from "@animoca/ethereum-contracts/contracts/metatx/interfaces/IForwarderRegistry.sol";
 
-contract ERC20ToPoints is ForwarderRegistryContext, PayoutWallet {
+/// @title ERC20ToPoints
+/// @notice Exchanges ERC20 tokens from an operator-managed registry for Points, each token having its own rate, deposit reason and payout wallet.
+/// @notice The rate of a token is either a fixed ratio or derived from a price feed answering the price of one whole token in a quote currency,
+///  such as USD, and from the target amount of Points per whole quote unit.
+/// @notice Token amounts are rounded up and Points amounts are rounded down.
+/// @notice Exchanges can also be done in a single transaction with an EIP-2612 permit or with a safe transfer of the tokens to this contract.
+/// @notice Exchanges can be paused, limited by per-user daily and lifetime caps and by a supply cap, and rewarded by volume-based bonus tiers.
+/// @notice While refunds are enabled, each exchange issues a receipt which its user can refund within the refund window,
+///  returning the Points against the tokens. Operators can also refund a receipt on behalf of its user.
+contract ERC20ToPoints is AccessControl, Pause, ERC20Receiver, ForwarderRegistryContext {
     using SafeERC20 for IERC20;
-    using PayoutWalletStorage for PayoutWalletStorage.Layout;
+    using AccessControlStorage for AccessControlStorage.Layout;
+    using PauseStorage for PauseStorage.Layout;
+
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+
+    uint256 public constant BONUS_BPS_DENOMINATOR = 10000;
+
+    struct TokenConfig {
+        uint256 rateNumerator;
+        uint256 rateDenominator;
+        bytes32 depositReason;
+        address payable payoutWallet;
+        bool enabled;
+        uint8 decimals;
+        IAggregatorV3 priceFeed;
+        uint64 maxPriceAge;
+        uint256 pointsPerQuoteUnit;
+    }
+
+    struct ExchangeCaps {
+        uint256 userDailyCap; // 0 means unlimited
+        uint256 userTotalCap; // 0 means unlimited
+        uint256 supplyCap; // 0 means unlimited
+    }
+
+    struct BonusTier {
+        uint256 minPointsAmount;
+        uint256 bonusBps;
+    }
+
+    struct Receipt {
+        address user;
+        uint64 timestamp;
+        IERC20 token;
+        uint64 refundDeadline;
+        bool refunded;
+        uint256 tokenAmount;
+        uint256 pointsAmount;
+        uint256 bonusPointsAmount;
+    }
 
-    IERC20 public immutable TOKEN;
     IPointsV2 public immutable POINTS;
-    uint256 public immutable TOKEN_TO_POINTS_RATE;
-    uint256 public immutable POINTS_MULTIPLIER;
-    bytes32 public immutable DEPOSIT_REASON;
 
-    event Exchanged(address indexed user, uint256 tokenAmount, uint256 pointsAmount);
+    mapping(IERC20 token => TokenConfig) public tokenConfigs;
+
+    ExchangeCaps public exchangeCaps;
+
+    /// @notice The amount of Points purchased by each user, excluding the bonuses.
+    mapping(address user => uint256 pointsAmount) public userExchangedPoints;
+
+    /// @notice The amount of Points purchased by each user per day, excluding the bonuses.
+    mapping(address user => mapping(uint256 day => uint256 pointsAmount)) public userDailyExchangedPoints;
+
+    /// @notice The amount of Points deposited by this contract, including the bonuses.
+    uint256 public totalDepositedPoints;
+
+    BonusTier[] internal _bonusTiers;
+
+    bytes32 public bonusDepositReason;
+
+    /// @notice The duration after an exchange during which it can be refunded, 0 meaning that refunds are disabled.
+    uint64 public refundWindow;
+
+    /// @notice The wallet from which the refunded tokens are transferred, which must approve this contract.
+    address public refundReserve;
+
+    /// @notice The identifier of the last issued receipt, receipt identifiers starting at 1. Receipts are only issued while refunds are enabled.
+    uint256 public lastReceiptId;
+
+    mapping(uint256 receiptId => Receipt) public receipts;
+
+    /// @notice Emitted when a token is added to or updated in the registry.
+    event TokenConfigSet(
+        IERC20 indexed token,
+        uint256 rateNumerator,
+        uint256 rateDenominator,
+        bytes32 depositReason,
+        address payoutWallet,
+        bool enabled
+    );
+
+    /// @notice Emitted when the price feed of a token is set, the zero address meaning the fixed rate.
+    event TokenPriceFeedSet(IERC20 indexed token, IAggregatorV3 priceFeed, uint64 maxPriceAge, uint256 pointsPerQuoteUnit);
+
+    /// @notice Emitted when a token is enabled or disabled.
+    event TokenEnabledSet(IERC20 indexed token, bool enabled);
+
+    /// @notice Emitted when tokens are exchanged for Points.
+    event Exchanged(address indexed user, IERC20 indexed token, uint256 tokenAmount, uint256 pointsAmount);
+
+    /// @notice Emitted when the exchange caps are set.
+    event ExchangeCapsSet(uint256 userDailyCap, uint256 userTotalCap, uint256 supplyCap);
+
+    /// @notice Emitted when the bonus tiers are set.
+    event BonusTiersSet(BonusTier[] bonusTiers, bytes32 bonusDepositReason);
+
+    /// @notice Emitted when bonus Points are deposited for an exchange.
+    event BonusDeposited(address indexed user, uint256 pointsAmount, uint256 bonusPointsAmount);
+
+    /// @notice Emitted when the refund window and the refund reserve are set.
+    event RefundConfigSet(uint64 refundWindow, address refundReserve);
+
+    /// @notice Emitted when a receipt is issued for an exchange.
+    event ReceiptIssued(uint256 indexed receiptId, address indexed user, IERC20 indexed token, uint64 refundDeadline);
+
+    /// @notice Emitted when an exchange is refunded.
+    event Refunded(uint256 indexed receiptId, address indexed user, IERC20 indexed token, uint256 tokenAmount, uint256 pointsAmount);
+
+    /// @notice Thrown when the token is the zero address.
+    error InvalidToken();
+
+    /// @notice Thrown when the token to Points rate is zero, or when one Point would be worth less than the smallest token unit.
+    error InvalidTokenToPointsRate();
+
+    /// @notice Thrown when the token is not in the registry.
+    error UnsupportedToken(IERC20 token);
+
+    /// @notice Thrown when the token is disabled.
+    error TokenDisabled(IERC20 token);
+
+    /// @notice Thrown when the maximum price age of a price feed is zero.
+    error InvalidMaxPriceAge();
+
+    /// @notice Thrown when the target amount of Points per quote unit of a price feed is zero.
+    error InvalidPointsPerQuoteUnit();
 
+    /// @notice Thrown when a price feed answers a non-positive price.
+    error InvalidPrice(IAggregatorV3 priceFeed, int256 answer);
+
+    /// @notice Thrown when the latest price of a price feed is older than the maximum price age.
+    error StalePrice(IAggregatorV3 priceFeed, uint256 updatedAt);
+
+    /// @notice Thrown when the Points amount is zero.
     error InvalidPointsAmount();
 
+    /// @notice Thrown when the token amount is zero.
+    error InvalidTokenAmount();
+
+    /// @notice Thrown when the data of a safe transfer is neither empty nor an abi-encoded uint256.
+    error InvalidReceivedData();
+
+    /// @notice Thrown when the Points amount to receive is below the minimum accepted by the user.
+    error InsufficientPointsAmount(uint256 pointsAmount, uint256 minPointsAmount);
+
+    /// @notice Thrown when the token amount to pay is above the maximum accepted by the user.
+    error SlippageExceeded(uint256 tokenAmount, uint256 maxTokenAmount);
+
+    /// @notice Thrown when an exchange exceeds the daily cap of the user.
+    error UserDailyCapExceeded(address user, uint256 remainingCap, uint256 pointsAmount);
+
+    /// @notice Thrown when an exchange exceeds the lifetime cap of the user.
+    error UserTotalCapExceeded(address user, uint256 remainingCap, uint256 pointsAmount);
+
+    /// @notice Thrown when an exchange exceeds the supply cap.
+    error SupplyCapExceeded(uint256 remainingCap, uint256 pointsAmount);
+
+    /// @notice Thrown when a bonus tier does not have a higher minimum Points amount than the previous one, or has an invalid bonus.
+    error InvalidBonusTier(uint256 index);
+
+    /// @notice Thrown when enabling refunds with the zero address as the refund reserve.
+    error InvalidRefundReserve();
+
+    /// @notice Thrown when the receipt does not exist.
+    error NonexistentReceipt(uint256 receiptId);
+
+    /// @notice Thrown when the sender is not the user of the receipt.
+    error NotReceiptUser(uint256 receiptId, address sender);
+
+    /// @notice Thrown when the receipt has already been refunded.
+    error ReceiptAlreadyRefunded(uint256 receiptId);
+
+    /// @notice Thrown when the refund deadline of the receipt has passed.
+    error RefundWindowClosed(uint256 receiptId, uint64 refundDeadline);
+
     constructor(
-        IERC20 token,
         IPointsV2 points,
-        uint256 tokenToPointsRate,
-        string memory depositReason,
-        address payable payoutAddress,
         IForwarderRegistry forwarderRegistry
-    ) ContractOwnership(msg.sender) PayoutWallet(payoutAddress) ForwarderRegistryContext(forwarderRegistry) {
-        TOKEN = token;
+    ) ContractOwnership(msg.sender) Pause(false) ForwarderRegistryContext(forwarderRegistry) {
         POINTS = points;
-        TOKEN_TO_POINTS_RATE = tokenToPointsRate;
-        POINTS_MULTIPLIER = 10 ** IERC20Metadata(address(token)).decimals() / TOKEN_TO_POINTS_RATE;
-        DEPOSIT_REASON = keccak256(bytes(depositReason));
+    }
+
+    /// @notice Adds a token to the registry, or updates its configuration.
+    /// @dev The price feed of the token, if any, is kept.
+    /// @dev Reverts with {NotRoleHolder} if the sender does not have the operator role.
+    /// @dev Reverts with {InvalidToken} if `token` is the zero address.
+    /// @dev Reverts with {InvalidTokenToPointsRate} if `rateNumerator` or `rateDenominator` is zero, or if one Point would be worth less than
+    ///  the smallest token unit.
+    /// @dev Reverts with {ZeroAddressPayoutWallet} if `payoutWallet` is the zero address.
+    /// @dev Emits a {TokenConfigSet} event.
+    /// @param token The token to accept.
+    /// @param rateNumerator The numerator of the amount of Points received for one whole token, when the token has no price feed.
+    /// @param rateDenominator The denominator of the amount of Points received for one whole token, when the token has no price feed.
+    /// @param depositReason The deposit reason, hashed into the Points deposit reason code.
+    /// @param payoutWallet The wallet receiving the exchanged tokens.
+    /// @param enabled Whether the token can be exchanged.
+    function setToken(
+        IERC20 token,
+        uint256 rateNumerator,
+        uint256 rateDenominator,
+        string calldata depositReason,
+        address payable payoutWallet,
+        bool enabled
+    ) external {
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, _msgSender());
+        require(address(token) != address(0), InvalidToken());
+        require(payoutWallet != address(0), ZeroAddressPayoutWallet());
+
+        uint8 decimals = IERC20Metadata(address(token)).decimals();
+        require(rateNumerator != 0 && rateDenominator != 0 && rateNumerator <= rateDenominator * 10 ** decimals, InvalidTokenToPointsRate());
+
+        bytes32 depositReasonCode = keccak256(bytes(depositReason));
+        TokenConfig storage config = tokenConfigs[token];
+        config.rateNumerator = rateNumerator;
+        config.rateDenominator = rateDenominator;
+        config.depositReason = depositReasonCode;
+        config.payoutWallet = payoutWallet;
+        config.enabled = enabled;
+        config.decimals = decimals;
+
+        emit TokenConfigSet(token, rateNumerator, rateDenominator, depositReasonCode, payoutWallet, enabled);
+    }
+
+    /// @notice Enables or disables a token of the registry.
+    /// @dev Reverts with {NotRoleHolder} if the sender does not have the operator role.
+    /// @dev Reverts with {UnsupportedToken} if `token` is not in the registry.
+    /// @dev Emits a {TokenEnabledSet} event.
+    /// @param token The token.
+    /// @param enabled Whether the token can be exchanged.
+    function setTokenEnabled(IERC20 token, bool enabled) external {
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, _msgSender());
+        require(_isSupported(token), UnsupportedToken(token));
+
+        tokenConfigs[token].enabled = enabled;
+
+        emit TokenEnabledSet(token, enabled);
+    }
+
+    /// @notice Sets the price feed of a token of the registry.
+    /// @dev Reverts with {NotRoleHolder} if the sender does not have the operator role.
+    /// @dev Reverts with {UnsupportedToken} if `token` is not in the registry.
+    /// @dev Reverts with {InvalidMaxPriceAge} if `priceFeed` is not the zero address and `maxPriceAge` is zero.
+    /// @dev Reverts with {InvalidPointsPerQuoteUnit} if `priceFeed` is not the zero address and `pointsPerQuoteUnit` is zero.
+    /// @dev Emits a {TokenPriceFeedSet} event.
+    /// @param token The token.
+    /// @param priceFeed The price feed answering the price of one whole token in the quote currency, or the zero address to use the fixed rate.
+    /// @param maxPriceAge The maximum age in seconds of the price feed answer.
+    /// @param pointsPerQuoteUnit The target amount of Points received for one whole unit of the quote currency.
+    function setTokenPriceFeed(IERC20 token, IAggregatorV3 priceFeed, uint64 maxPriceAge, uint256 pointsPerQuoteUnit) external {
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, _msgSender());
+        require(_isSupported(token), UnsupportedToken(token));
+        if (address(priceFeed) != address(0)) {
+            require(maxPriceAge != 0, InvalidMaxPriceAge());
+            require(pointsPerQuoteUnit != 0, InvalidPointsPerQuoteUnit());
+        }
+
+        TokenConfig storage config = tokenConfigs[token];
+        config.priceFeed = priceFeed;
+        config.maxPriceAge = maxPriceAge;
+        config.pointsPerQuoteUnit = pointsPerQuoteUnit;
+
+        emit TokenPriceFeedSet(token, priceFeed, maxPriceAge, pointsPerQuoteUnit);
+    }
+
+    /// @notice Sets the exchange caps, in Points.
+    /// @dev The user caps apply to the purchased Points, the supply cap also applies to the bonus Points.
+    /// @dev Reverts with {NotRoleHolder} if the sender does not have the operator role.
+    /// @dev Emits an {ExchangeCapsSet} event.
+    /// @param userDailyCap The amount of Points each user can purchase per day, 0 meaning unlimited.
+    /// @param userTotalCap The amount of Points each user can purchase in total, 0 meaning unlimited.
+    /// @param supplyCap The amount of Points this contract can deposit in total, 0 meaning unlimited.
+    function setExchangeCaps(uint256 userDailyCap, uint256 userTotalCap, uint256 supplyCap) external {
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, _msgSender());
+        exchangeCaps = ExchangeCaps(userDailyCap, userTotalCap, supplyCap);
+        emit ExchangeCapsSet(userDailyCap, userTotalCap, supplyCap);
+    }
+
+    /// @notice Sets the bonus tiers, replacing the previous ones.
+    /// @dev An exchange of at least the minimum Points amount of a tier receives the bonus of the highest such tier.
+    /// @dev Reverts with {NotRoleHolder} if the sender does not have the operator role.
+    /// @dev Reverts with {InvalidBonusTier} if the tiers are not sorted by strictly increasing minimum Points amount, or if a bonus is zero
+    ///  or above 100%.
+    /// @dev Emits a {BonusTiersSet} event.
+    /// @param bonusTiers The bonus tiers, with bonuses in basis points. An empty array disables the bonuses.
+    /// @param bonusDepositReason_ The deposit reason of the bonus Points, hashed into the Points deposit reason code.
+    function setBonusTiers(BonusTier[] calldata bonusTiers, string calldata bonusDepositReason_) external {
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, _msgSender());
+
+        delete _bonusTiers;
+        uint256 previousMinPointsAmount;
+        for (uint256 i; i < bonusTiers.length; ++i) {
+            BonusTier calldata tier = bonusTiers[i];
+            require(
+                (i == 0 || tier.minPointsAmount > previousMinPointsAmount) && tier.bonusBps != 0 && tier.bonusBps <= BONUS_BPS_DENOMINATOR,
+                InvalidBonusTier(i)
+            );
+            previousMinPointsAmount = tier.minPointsAmount;
+            _bonusTiers.push(tier);
+        }
+        bytes32 bonusDepositReasonCode = keccak256(bytes(bonusDepositReason_));
+        bonusDepositReason = bonusDepositReasonCode;
+
+        emit BonusTiersSet(bonusTiers, bonusDepositReasonCode);
+    }
+
+    /// @notice Gets the bonus tiers.
+    /// @return bonusTiers The bonus tiers.
+    function getBonusTiers() external view returns (BonusTier[] memory bonusTiers) {
+        return _bonusTiers;
+    }
+
+    /// @notice Gets the bonus Points for an exchange of an amount of Points.
+    /// @param pointsAmount The amount of Points purchased.
+    /// @return bonusPointsAmount The amount of bonus Points, rounded down.
+    function getBonusPointsAmount(uint256 pointsAmount) public view returns (uint256 bonusPointsAmount) {
+        for (uint256 i = _bonusTiers.length; i != 0; --i) {
+            BonusTier storage tier = _bonusTiers[i - 1];
+            if (pointsAmount >= tier.minPointsAmount) {
+                return (pointsAmount * tier.bonusBps) / BONUS_BPS_DENOMINATOR;
+            }
+        }
+        return 0;
+    }
+
+    /// @notice Gets the amounts of Points a user can still purchase today and in total.
+    /// @param user The user.
+    /// @return dailyRemaining The amount of Points the user can still purchase today, type(uint256).max if unlimited.
+    /// @return totalRemaining The amount of Points the user can still purchase in total, type(uint256).max if unlimited.
+    function getUserRemainingCaps(address user) public view returns (uint256 dailyRemaining, uint256 totalRemaining) {
+        ExchangeCaps storage caps = exchangeCaps;
+        dailyRemaining = _remaining(caps.userDailyCap, userDailyExchangedPoints[user][block.timestamp / 1 days]);
+        totalRemaining = _remaining(caps.userTotalCap, userExchangedPoints[user]);
+    }
+
+    /// @notice Gets the amount of Points this contract can still deposit.
+    /// @return remaining The amount of Points this contract can still deposit, type(uint256).max if unlimited.
+    function getRemainingSupply() public view returns (uint256 remaining) {
+        return _remaining(exchangeCaps.supplyCap, totalDepositedPoints);
+    }
+
+    /// @notice Sets the refund window and the refund reserve.
+    /// @dev The refund window only applies to the exchanges made after it is set.
+    /// @dev Reverts with {NotRoleHolder} if the sender does not have the operator role.
+    /// @dev Reverts with {InvalidRefundReserve} if `refundWindow_` is not zero and `refundReserve_` is the zero address.
+    /// @dev Emits a {RefundConfigSet} event.
+    /// @param refundWindow_ The duration after an exchange during which it can be refunded, 0 meaning that refunds are disabled.
+    /// @param refundReserve_ The wallet from which the refunded tokens are transferred.
+    function setRefundConfig(uint64 refundWindow_, address refundReserve_) external {
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, _msgSender());
+        require(refundWindow_ == 0 || refundReserve_ != address(0), InvalidRefundReserve());
+        refundWindow = refundWindow_;
+        refundReserve = refundReserve_;
+        emit RefundConfigSet(refundWindow_, refundReserve_);
+    }
+
+    /// @notice Refunds an exchange of the sender: spends the Points of the receipt, including the bonus,
+    ///  and transfers back the tokens from the refund reserve.
+    /// @dev The sender must have approved this contract to spend the Points on the Points contract.
+    /// @dev The refunded Points are released from the exchange caps.
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {NonexistentReceipt} if the receipt does not exist.
+    /// @dev Reverts with {NotReceiptUser} if the sender is not the user of the receipt.
+    /// @dev Reverts with {ReceiptAlreadyRefunded} if the receipt has already been refunded.
+    /// @dev Reverts with {RefundWindowClosed} if the refund deadline of the receipt has passed.
+    /// @dev Reverts with {InvalidRefundReserve} if the refund reserve is not set.
+    /// @dev Emits a {Refunded} event.
+    /// @param receiptId The identifier of the receipt.
+    function refund(uint256 receiptId) external {
+        address user = receipts[receiptId].user;
+        require(user != address(0), NonexistentReceipt(receiptId));
+        address sender = _msgSender();
+        require(sender == user, NotReceiptUser(receiptId, sender));
+        _refund(receiptId);
+    }
+
+    /// @notice Refunds an exchange on behalf of its user, with the same effects as {refund}.
+    /// @dev The user must have approved this contract to spend the Points on the Points contract.
+    /// @dev Reverts with {NotRoleHolder} if the sender is not an operator.
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {NonexistentReceipt} if the receipt does not exist.
+    /// @dev Reverts with {ReceiptAlreadyRefunded} if the receipt has already been refunded.
+    /// @dev Reverts with {RefundWindowClosed} if the refund deadline of the receipt has passed.
+    /// @dev Reverts with {InvalidRefundReserve} if the refund reserve is not set.
+    /// @dev Emits a {Refunded} event.
+    /// @param receiptId The identifier of the receipt.
+    function forceRefund(uint256 receiptId) external {
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, _msgSender());
+        require(receipts[receiptId].user != address(0), NonexistentReceipt(receiptId));
+        _refund(receiptId);
     }
 
     /// @notice Exchanges tokens for Points.
     /// @dev Reverts with {InvalidPointsAmount} if pointsAmount is zero.
+    /// @dev Reverts with {UnsupportedToken} if `token` is not in the registry.
+    /// @dev Reverts with {TokenDisabled} if `token` is disabled.
+    /// @dev Reverts with {InvalidPrice} or {StalePrice} if the price feed of `token` cannot be used.
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {UserDailyCapExceeded}, {UserTotalCapExceeded} or {SupplyCapExceeded} if the exchange exceeds a cap.
+    /// @dev Emits an {Exchanged} event.
+    /// @dev Emits a {BonusDeposited} event if the exchange receives bonus Points.
+    /// @dev Emits a {ReceiptIssued} event if refunds are enabled.
+    /// @param token the token to pay with.
     /// @param pointsAmount the amount of Points to receive.
-    function exchange(uint256 pointsAmount) external {
-        require(pointsAmount != 0, InvalidPointsAmount());
+    function exchange(IERC20 token, uint256 pointsAmount) external {
+        _exchangeExactPoints(_msgSender(), token, pointsAmount, type(uint256).max);
+    }
 
-        uint256 tokenAmount = pointsAmount * POINTS_MULTIPLIER;
+    /// @notice Exchanges tokens for Points, paying at most a maximum amount of tokens.
+    /// @dev Reverts with {InvalidPointsAmount} if pointsAmount is zero.
+    /// @dev Reverts with {UnsupportedToken} if `token` is not in the registry.
+    /// @dev Reverts with {TokenDisabled} if `token` is disabled.
+    /// @dev Reverts with {InvalidPrice} or {StalePrice} if the price feed of `token` cannot be used.
+    /// @dev Reverts with {SlippageExceeded} if the amount of tokens to pay is above `maxTokenAmount`.
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {UserDailyCapExceeded}, {UserTotalCapExceeded} or {SupplyCapExceeded} if the exchange exceeds a cap.
+    /// @dev Emits an {Exchanged} event.
+    /// @dev Emits a {BonusDeposited} event if the exchange receives bonus Points.
+    /// @dev Emits a {ReceiptIssued} event if refunds are enabled.
+    /// @param token the token to pay with.
+    /// @param pointsAmount the amount of Points to receive.
+    /// @param maxTokenAmount the maximum amount of tokens to pay.
+    function exchange(IERC20 token, uint256 pointsAmount, uint256 maxTokenAmount) external {
+        _exchangeExactPoints(_msgSender(), token, pointsAmount, maxTokenAmount);
+    }
 
+    /// @notice Exchanges tokens for Points, paying at most a maximum amount of tokens approved by an EIP-2612 permit.
+    /// @dev The permit is for `maxTokenAmount`: the difference with the amount of tokens paid remains approved.
+    /// @dev A failing permit is ignored so that a front-run permit does not prevent the exchange, which then relies on the existing allowance.
+    /// @dev Reverts with {InvalidPointsAmount} if pointsAmount is zero.
+    /// @dev Reverts with {UnsupportedToken} if `token` is not in the registry.
+    /// @dev Reverts with {TokenDisabled} if `token` is disabled.
+    /// @dev Reverts with {InvalidPrice} or {StalePrice} if the price feed of `token` cannot be used.
+    /// @dev Reverts with {SlippageExceeded} if the amount of tokens to pay is above `maxTokenAmount`.
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {UserDailyCapExceeded}, {UserTotalCapExceeded} or {SupplyCapExceeded} if the exchange exceeds a cap.
+    /// @dev Emits an {Exchanged} event.
+    /// @dev Emits a {BonusDeposited} event if the exchange receives bonus Points.
+    /// @dev Emits a {ReceiptIssued} event if refunds are enabled.
+    /// @param token the token to pay with.
+    /// @param pointsAmount the amount of Points to receive.
+    /// @param maxTokenAmount the maximum amount of tokens to pay, and the value of the permit.
+    /// @param deadline the deadline of the permit.
+    /// @param v the permit signature recovery byte.
+    /// @param r the permit signature r value.
+    /// @param s the permit signature s value.
+    function exchangeWithPermit(
+        IERC20 token,
+        uint256 pointsAmount,
+        uint256 maxTokenAmount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
         address sender = _msgSender();
+        try IERC20Permit(address(token)).permit(sender, address(this), maxTokenAmount, deadline, v, r, s) {} catch {}
+        _exchangeExactPoints(sender, token, pointsAmount, maxTokenAmount);
+    }
+
+    /// @notice Exchanges an exact amount of tokens for Points.
+    /// @dev Reverts with {InvalidTokenAmount} if tokenAmount is zero.
+    /// @dev Reverts with {UnsupportedToken} if `token` is not in the registry.
+    /// @dev Reverts with {TokenDisabled} if `token` is disabled.
+    /// @dev Reverts with {InvalidPrice} or {StalePrice} if the price feed of `token` cannot be used.
+    /// @dev Reverts with {InvalidPointsAmount} if `tokenAmount` is worth less than one Point.
+    /// @dev Reverts with {InsufficientPointsAmount} if the amount of Points to receive is below `minPointsAmount`.
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {UserDailyCapExceeded}, {UserTotalCapExceeded} or {SupplyCapExceeded} if the exchange exceeds a cap.
+    /// @dev Emits an {Exchanged} event.
+    /// @dev Emits a {BonusDeposited} event if the exchange receives bonus Points.
+    /// @dev Emits a {ReceiptIssued} event if refunds are enabled.
+    /// @param token the token to pay with.
+    /// @param tokenAmount the amount of tokens to pay.
+    /// @param minPointsAmount the minimum amount of Points to receive.
+    function exchangeExactTokens(IERC20 token, uint256 tokenAmount, uint256 minPointsAmount) external {
+        _exchangeExactTokens(_msgSender(), token, tokenAmount, minPointsAmount, true);
+    }
+
+    /// @notice Exchanges the tokens received via a safe transfer for Points, deposited to the previous tokens owner.
+    /// @dev Reverts with {InvalidReceivedData} if `data` is neither empty nor an abi-encoded uint256.
+    /// @dev Reverts with {InvalidTokenAmount} if `value` is zero.
+    /// @dev Reverts with {UnsupportedToken} if the sender is not a token of the registry.
+    /// @dev Reverts with {TokenDisabled} if the sender is a disabled token.
+    /// @dev Reverts with {InvalidPrice} or {StalePrice} if the price feed of the token cannot be used.
+    /// @dev Reverts with {InvalidPointsAmount} if `value` is worth less than one Point.
+    /// @dev Reverts with {InsufficientPointsAmount} if the amount of Points to receive is below the minimum encoded in `data`.
+    /// @dev Reverts with {Paused} if the contract is paused.
+    /// @dev Reverts with {UserDailyCapExceeded}, {UserTotalCapExceeded} or {SupplyCapExceeded} if the exchange exceeds a cap.
+    /// @dev Emits an {Exchanged} event.
+    /// @dev Emits a {BonusDeposited} event if the exchange receives bonus Points.
+    /// @dev Emits a {ReceiptIssued} event if refunds are enabled.
+    /// @param from The previous tokens owner, receiving the Points.
+    /// @param value The amount of tokens received.
+    /// @param data The minimum amount of Points to receive, abi-encoded as a uint256, or empty for no minimum.
+    /// @return bytes4 The function selector of the callback.
+    function onERC20Received(address, address from, uint256 value, bytes calldata data) external returns (bytes4) {
+        uint256 minPointsAmount;
+        if (data.length != 0) {
+            require(data.length == 32, InvalidReceivedData());
+            minPointsAmount = abi.decode(data, (uint256));
+        }
+        _exchangeExactTokens(from, IERC20(msg.sender), value, minPointsAmount, false);
+        return this.onERC20Received.selector;
+    }
+
+    /// @notice Gets the amount of tokens to pay for an amount of Points.
+    /// @dev Reverts with {UnsupportedToken} if `token` is not in the registry.
+    /// @dev Reverts with {InvalidPrice} or {StalePrice} if the price feed of `token` cannot be used.
+    /// @param token the token to pay with.
+    /// @param pointsAmount the amount of Points to receive.
+    /// @return tokenAmount the amount of tokens to pay, rounded up.
+    function getTokenAmount(IERC20 token, uint256 pointsAmount) external view returns (uint256 tokenAmount) {
+        require(_isSupported(token), UnsupportedToken(token));
+        return _getTokenAmount(tokenConfigs[token], pointsAmount);
+    }
+
+    /// @notice Gets the amount of Points received for an amount of tokens.
+    /// @dev Reverts with {UnsupportedToken} if `token` is not in the registry.
+    /// @dev Reverts with {InvalidPrice} or {StalePrice} if the price feed of `token` cannot be used.
+    /// @param token the token to pay with.
+    /// @param tokenAmount the amount of tokens to pay.
+    /// @return pointsAmount the amount of Points to receive, rounded down.
+    function getPointsAmount(IERC20 token, uint256 tokenAmount) external view returns (uint256 pointsAmount) {
+        require(_isSupported(token), UnsupportedToken(token));
+        (uint256 numerator, uint256 denominator) = _getRate(tokenConfigs[token]);
+        return Math.mulDiv(tokenAmount, numerator, denominator);
+    }
+
+    function _exchangeExactPoints(address user, IERC20 token, uint256 pointsAmount, uint256 maxTokenAmount) internal {
+        require(pointsAmount != 0, InvalidPointsAmount());
+        TokenConfig storage config = _getEnabledTokenConfig(token);
+
+        uint256 tokenAmount = _getTokenAmount(config, pointsAmount);
+        require(tokenAmount <= maxTokenAmount, SlippageExceeded(tokenAmount, maxTokenAmount));
 
-        TOKEN.safeTransferFrom(sender, PayoutWalletStorage.layout().payoutWallet(), tokenAmount);
-        POINTS.deposit(sender, pointsAmount, DEPOSIT_REASON);
+        _exchange(user, token, config, tokenAmount, pointsAmount, true);
+    }
+
+    function _exchangeExactTokens(address user, IERC20 token, uint256 tokenAmount, uint256 minPointsAmount, bool requiresTransfer) internal {
+        require(tokenAmount != 0, InvalidTokenAmount());
+        TokenConfig storage config = _getEnabledTokenConfig(token);
+
+        (uint256 numerator, uint256 denominator) = _getRate(config);
+        uint256 pointsAmount = Math.mulDiv(tokenAmount, numerator, denominator);
+        require(pointsAmount != 0, InvalidPointsAmount());
+        require(pointsAmount >= minPointsAmount, InsufficientPointsAmount(pointsAmount, minPointsAmount));
+
+        _exchange(user, token, config, tokenAmount, pointsAmount, requiresTransfer);
+    }
+
+    /// @param requiresTransfer Whether the tokens are to be transferred from the user, or have already been received by this contract.
+    function _exchange(
+        address user,
+        IERC20 token,
+        TokenConfig storage config,
+        uint256 tokenAmount,
+        uint256 pointsAmount,
+        bool requiresTransfer
+    ) internal {
+        PauseStorage.layout().enforceIsNotPaused();
+        uint256 bonusPointsAmount = _consumeCaps(user, pointsAmount);
+
+        if (requiresTransfer) {
+            token.safeTransferFrom(user, config.payoutWallet, tokenAmount);
+        } else {
+            token.safeTransfer(config.payoutWallet, tokenAmount);
+        }
+        POINTS.deposit(user, pointsAmount, config.depositReason);
+
+        emit Exchanged(user, token, tokenAmount, pointsAmount);
+
+        if (bonusPointsAmount != 0) {
+            POINTS.deposit(user, bonusPointsAmount, bonusDepositReason);
+            emit BonusDeposited(user, pointsAmount, bonusPointsAmount);
+        }
+
+        _issueReceipt(user, token, tokenAmount, pointsAmount, bonusPointsAmount);
+    }
+
+    function _refund(uint256 receiptId) internal {
+        PauseStorage.layout().enforceIsNotPaused();
+
+        Receipt storage receipt = receipts[receiptId];
+        require(!receipt.refunded, ReceiptAlreadyRefunded(receiptId));
+        uint64 refundDeadline = receipt.refundDeadline;
+        require(block.timestamp <= refundDeadline, RefundWindowClosed(receiptId, refundDeadline));
+        address reserve = refundReserve;
+        require(reserve != address(0), InvalidRefundReserve());
+
+        receipt.refunded = true;
+        address user = receipt.user;
+        uint256 pointsAmount = receipt.pointsAmount;
+        uint256 depositedPoints = pointsAmount + receipt.bonusPointsAmount;
+        userDailyExchangedPoints[user][receipt.timestamp / 1 days] -= pointsAmount;
+        userExchangedPoints[user] -= pointsAmount;
+        totalDepositedPoints -= depositedPoints;
+
+        POINTS.spendFrom(user, depositedPoints);
+        receipt.token.safeTransferFrom(reserve, user, receipt.tokenAmount);
+
+        emit Refunded(receiptId, user, receipt.token, receipt.tokenAmount, depositedPoints);
+    }
+
+    function _issueReceipt(address user, IERC20 token, uint256 tokenAmount, uint256 pointsAmount, uint256 bonusPointsAmount) internal {
+        uint64 refundWindow_ = refundWindow;
+        if (refundWindow_ == 0) return;
+        uint256 receiptId = ++lastReceiptId;
+        uint64 refundDeadline = uint64(block.timestamp) + refundWindow_;
+        receipts[receiptId] = Receipt({
+            user: user,
+            timestamp: uint64(block.timestamp),
+            token: token,
+            refundDeadline: refundDeadline,
+            refunded: false,
+            tokenAmount: tokenAmount,
+            pointsAmount: pointsAmount,
+            bonusPointsAmount: bonusPointsAmount
+        });
+        emit ReceiptIssued(receiptId, user, token, refundDeadline);
+    }
+
+    /// @return bonusPointsAmount The amount of bonus Points for the exchange.
+    function _consumeCaps(address user, uint256 pointsAmount) internal returns (uint256 bonusPointsAmount) {
+        (uint256 dailyRemaining, uint256 totalRemaining) = getUserRemainingCaps(user);
+        require(pointsAmount <= dailyRemaining, UserDailyCapExceeded(user, dailyRemaining, pointsAmount));
+        require(pointsAmount <= totalRemaining, UserTotalCapExceeded(user, totalRemaining, pointsAmount));
+
+        bonusPointsAmount = getBonusPointsAmount(pointsAmount);
+        uint256 depositedPoints = pointsAmount + bonusPointsAmount;
+        uint256 remainingSupply = getRemainingSupply();
+        require(depositedPoints <= remainingSupply, SupplyCapExceeded(remainingSupply, depositedPoints));
+
+        userDailyExchangedPoints[user][block.timestamp / 1 days] += pointsAmount;
+        userExchangedPoints[user] += pointsAmount;
+        totalDepositedPoints += depositedPoints;
+    }
+
+    function _remaining(uint256 cap, uint256 used) internal pure returns (uint256) {
+        return cap == 0 ? type(uint256).max : (cap > used ? cap - used : 0);
+    }
+
+    function _getEnabledTokenConfig(IERC20 token) internal view returns (TokenConfig storage config) {
+        require(_isSupported(token), UnsupportedToken(token));
+        config = tokenConfigs[token];
+        require(config.enabled, TokenDisabled(token));
+    }
+
+    function _getTokenAmount(TokenConfig storage config, uint256 pointsAmount) internal view returns (uint256) {
+        (uint256 numerator, uint256 denominator) = _getRate(config);
+        return Math.mulDiv(pointsAmount, denominator, numerator, Math.Rounding.Ceil);
+    }
+
+    /// @notice Gets the amount of Points received for one smallest token unit, as a ratio.
+    function _getRate(TokenConfig storage config) internal view returns (uint256 numerator, uint256 denominator) {
+        IAggregatorV3 priceFeed = config.priceFeed;
+        if (address(priceFeed) == address(0)) {
+            return (config.rateNumerator, config.rateDenominator * 10 ** config.decimals);
+        }
+
+        (, int256 answer, , uint256 updatedAt, ) = priceFeed.latestRoundData();
+        require(answer > 0, InvalidPrice(priceFeed, answer));
+        require(updatedAt + config.maxPriceAge >= block.timestamp, StalePrice(priceFeed, updatedAt));
+
+        // the answer is the price of one whole token in quote units, with the decimals of the price feed
+        return (uint256(answer) * config.pointsPerQuoteUnit, 10 ** (config.decimals + priceFeed.decimals()));
+    }
 
-        emit Exchanged(sender, tokenAmount, pointsAmount);
+    function _isSupported(IERC20 token) internal view returns (bool) {
+        return tokenConfigs[token].rateNumerator != 0;
     }
 
     /// @inheritdoc ForwarderRegistryContextBase
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+/// @notice Subset of the Chainlink AggregatorV3Interface used as a token price source.
+interface IAggregatorV3 {
+    /// @notice Returns the number of decimals of the answers.
+    /// @return the number of decimals.
+    function decimals() external view returns (uint8);
+
+    /// @notice Returns the data of the latest round.
+    /// @return roundId the round ID.
+    /// @return answer the answer of the round.
+    /// @return startedAt the timestamp at which the round started.
+    /// @return updatedAt the timestamp at which the answer was last updated.
+    /// @return answeredInRound the round ID in which the answer was computed.
+    function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+}
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const {ethers} = require('ethers');
+const {MerkleTree} = require('merkletreejs');
+
+const LEAF_TYPES = ['address', 'uint256', 'bytes32', 'uint256', 'bytes32'];
+const INDEXED_LEAF_TYPES = ['uint256', ...LEAF_TYPES];
+const PAYOUT_FIELDS = ['holder', 'amount', 'depositReasonCode', 'deadline', 'distributionId'];
+
+/**
+ * Encodes a payout as the raw (unhashed) leaf expected by PointsMerkleClaimV2.claim, ie.
+ * `abi.encodePacked(holder, amount, depositReasonCode, deadline, distributionId)`.
+ * If the payout has an `index`, encodes it as the leaf expected by PointsMerkleClaimV2.claimIndexed, ie.
+ * `abi.encodePacked(index, holder, amount, depositReasonCode, deadline, distributionId)`.
+ * @param {{index: (number|undefined), holder: string, amount: bigint, depositReasonCode: string, deadline: bigint, distributionId: string}} payout
+ * @returns {string} the packed leaf, as a hex string.
+ */
+function encodeLeaf(payout) {
+  const values = [payout.holder, payout.amount, payout.depositReasonCode, payout.deadline, payout.distributionId];
+  if (payout.index === undefined) {
+    return ethers.solidityPacked(LEAF_TYPES, values);
+  }
+  return ethers.solidityPacked(INDEXED_LEAF_TYPES, [payout.index, ...values]);
+}
+
+/**
+ * Hashes a payout as the leaf verified by PointsMerkleClaimV2.claim, ie. the keccak256 of its packed encoding.
+ * @param {object} payout
+ * @returns {string} the leaf hash, as a hex string.
+ */
+function hashLeaf(payout) {
+  return ethers.keccak256(encodeLeaf(payout));
+}
+
+/**
+ * Parses an integer payout field. Numbers must be safe integers since larger JSON numbers have already lost precision: such values must be
+ * provided as decimal strings.
+ * @param {(bigint|number|string)} value the raw value.
+ * @param {string} field the name of the field, used in error messages.
+ * @param {number} position the position of the payout in the list, used in error messages.
+ * @returns {bigint} the parsed value.
+ */
+function parseInteger(value, field, position) {
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`Payout #${position}: ${field} ${value} is not a safe integer, provide it as a decimal string`);
+    }
+    return BigInt(value);
+  }
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (typeof value !== 'string' || !/^-?\d+$/.test(value.trim())) {
+    throw new Error(`Payout #${position}: invalid ${field} ${value}`);
+  }
+  return BigInt(value.trim());
+}
+
+/**
+ * Normalizes and validates a payout, filling the missing fields with the provided defaults.
+ * @param {object} payout the raw payout.
+ * @param {object} defaults the default values for the missing fields.
+ * @param {number} position the position of the payout in the list, used in error messages.
+ * @returns {{holder: string, amount: bigint, depositReasonCode: string, deadline: bigint, distributionId: string}}
+ */
+function normalizePayout(payout, defaults, position) {
+  const raw = {...defaults, ...payout};
+  for (const field of PAYOUT_FIELDS) {
+    if (raw[field] === undefined || raw[field] === null || raw[field] === '') {
+      throw new Error(`Payout #${position}: missing ${field}`);
+    }
+  }
+  if (!ethers.isAddress(raw.holder)) {
+    throw new Error(`Payout #${position}: invalid holder ${raw.holder}`);
+  }
+  for (const field of ['depositReasonCode', 'distributionId']) {
+    if (!ethers.isHexString(raw[field], 32)) {
+      throw new Error(`Payout #${position}: invalid ${field} ${raw[field]}`);
+    }
+  }
+  const amount = parseInteger(raw.amount, 'amount', position);
+  if (amount <= 0n) {
+    throw new Error(`Payout #${position}: invalid amount ${raw.amount}`);
+  }
+  const deadline = parseInteger(raw.deadline, 'deadline', position);
+  if (deadline < 0n) {
+    throw new Error(`Payout #${position}: invalid deadline ${raw.deadline}`);
+  }
+  return {
+    holder: ethers.getAddress(raw.holder),
+    amount,
+    depositReasonCode: ethers.hexlify(raw.depositReasonCode),
+    deadline,
+    distributionId: ethers.hexlify(raw.distributionId),
+  };
+}
+
+/**
+ * Parses a CSV payout list. The first line is a header naming the columns among
+ * `holder`, `amount`, `depositReasonCode`, `deadline` and `distributionId`. Omitted columns can be provided as defaults to buildDistribution.
+ * @param {string} content the CSV content.
+ * @returns {object[]} the raw payouts.
+ */
+function parsePayoutsCsv(content) {
+  const lines = content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length !== 0);
+  if (lines.length === 0) {
+    return [];
+  }
+  const header = lines[0].split(',').map((column) => column.trim());
+  for (const column of header) {
+    if (!PAYOUT_FIELDS.includes(column)) {
+      throw new Error(`Unknown CSV column ${column}`);
+    }
+  }
+  return lines.slice(1).map((line, index) => {
+    const values = line.split(',').map((value) => value.trim());
+    if (values.length !== header.length) {
+      throw new Error(`CSV line ${index + 2}: expected ${header.length} values, got ${values.length}`);
+    }
+    return Object.fromEntries(header.map((column, i) => [column, values[i]]));
+  });
+}
+
+/**
+ * Parses a JSON payout list, either as an array of payouts or as an object with a `payouts` array.
+ * @param {string} content the JSON content.
+ * @returns {object[]} the raw payouts.
+ */
+function parsePayoutsJson(content) {
+  const parsed = JSON.parse(content);
+  const payouts = Array.isArray(parsed) ? parsed : parsed.payouts;
+  if (!Array.isArray(payouts)) {
+    throw new Error('JSON payout list must be an array or an object with a payouts array');
+  }
+  return payouts;
+}
+
+/**
+ * Loads a payout list from a `.csv` or `.json` file.
+ * @param {string} filePath the path of the file.
+ * @returns {object[]} the raw payouts.
+ */
+function loadPayouts(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  switch (path.extname(filePath).toLowerCase()) {
+    case '.csv':
+      return parsePayoutsCsv(content);
+    case '.json':
+      return parsePayoutsJson(content);
+    default:
+      throw new Error(`Unsupported payout list format ${filePath}`);
+  }
+}
+
+/**
+ * Builds the merkle distribution for a payout list, using the leaf encoding of PointsMerkleClaimV2.
+ * Throws if a payout has a zero amount or is invalid, or if the same leaf appears more than once.
+ * For an indexed distribution (to be activated with activateIndexedMerkleRoot), each payout is assigned its position in the list as index.
+ * @param {object[]} payouts the raw payouts.
+ * @param {object} [defaults] the default values for the fields missing from the payouts (eg. `deadline` or `distributionId`).
+ * @param {{indexed: boolean}} [options] whether to build an indexed distribution.
+ * @returns {{root: string, indexed: boolean, totalAmount: bigint, claims: object[]}} the distribution, with the claims and their proofs.
+ */
+function buildDistribution(payouts, defaults = {}, {indexed = false} = {}) {
+  if (payouts.length === 0) {
+    throw new Error('Empty payout list');
+  }
+  const normalized = payouts.map((payout, index) => normalizePayout(payout, defaults, index + 1));
+
+  const seen = new Map();
+  const leaves = normalized.map((payout, index) => {
+    const leaf = encodeLeaf(payout);
+    if (seen.has(leaf)) {
+      throw new Error(`Payout #${index + 1}: duplicate of payout #${seen.get(leaf) + 1}`);
+    }
+    seen.set(leaf, index);
+    return indexed ? encodeLeaf({index, ...payout}) : leaf;
+  });
+
+  const tree = new MerkleTree(leaves, ethers.keccak256, {hashLeaves: true, sortPairs: true});
+  const claims = normalized.map((payout, index) => ({
+    ...(indexed ? {index} : {}),
+    ...payout,
+    leaf: ethers.keccak256(leaves[index]),
+    proof: tree.getHexProof(leaves[index], index),
+  }));
+
+  return {
+    root: tree.getHexRoot(),
+    indexed,
+    totalAmount: normalized.reduce((total, payout) => total + payout.amount, 0n),
+    claims,
+  };
+}
+
+/**
+ * Serializes a distribution to its manifest format, with the claims grouped by holder.
+ * @param {{root: string, indexed: boolean, totalAmount: bigint, claims: object[]}} distribution the distribution.
+ * @returns {object} the JSON-serializable manifest.
+ */
+function toManifest(distribution) {
+  const holders = {};
+  for (const claim of distribution.claims) {
+    if (holders[claim.holder] === undefined) {
+      holders[claim.holder] = [];
+    }
+    holders[claim.holder].push({
+      ...(claim.index !== undefined ? {index: claim.index} : {}),
+      amount: claim.amount.toString(),
+      depositReasonCode: claim.depositReasonCode,
+      deadline: claim.deadline.toString(),
+      distributionId: claim.distributionId,
+      leaf: claim.leaf,
+      proof: claim.proof,
+    });
+  }
+  return {
+    root: distribution.root,
+    indexed: distribution.indexed,
+    totalAmount: distribution.totalAmount.toString(),
+    claimsCount: distribution.claims.length,
+    holders,
+  };
+}
+
+/**
+ * Writes the manifest of a distribution to a JSON file.
+ * @param {{root: string, indexed: boolean, totalAmount: bigint, claims: object[]}} distribution the distribution.
+ * @param {string} filePath the path of the manifest file.
+ * @returns {object} the manifest written.
+ */
+function writeManifest(distribution, filePath) {
+  const manifest = toManifest(distribution);
+  fs.mkdirSync(path.dirname(filePath), {recursive: true});
+  fs.writeFileSync(filePath, JSON.stringify(manifest, null, 2) + '\n');
+  return manifest;
+}
+
+module.exports = {
+  encodeLeaf,
+  hashLeaf,
+  parsePayoutsCsv,
+  parsePayoutsJson,
+  loadPayouts,
+  buildDistribution,
+  toManifest,
+  writeManifest,
+};
@@ -0,0 +1,106 @@
+const ApproveType = {
+  Approve: [
+    {name: 'holder', type: 'address'},
+    {name: 'spender', type: 'address'},
+    {name: 'amount', type: 'uint256'},
+    {name: 'deadline', type: 'uint256'},
+    {name: 'nonce', type: 'uint256'},
+  ],
+};
+
+const SpendType = {
+  Spend: [
+    {name: 'holder', type: 'address'},
+    {name: 'spender', type: 'address'},
+    {name: 'amount', type: 'uint256'},
+    {name: 'deadline', type: 'uint256'},
+    {name: 'nonce', type: 'uint256'},
+  ],
+};
+
+const SpendAndCallType = {
+  SpendAndCall: [
+    {name: 'holder', type: 'address'},
+    {name: 'amount', type: 'uint256'},
+    {name: 'target', type: 'address'},
+    {name: 'data', type: 'bytes'},
+    {name: 'deadline', type: 'uint256'},
+    {name: 'nonce', type: 'uint256'},
+  ],
+};
+
+/**
+ * Builds the EIP-712 domain of a PointsV2 contract.
+ * @param {import('ethers').BaseContract} pointsContract the PointsV2 contract, connected to a provider.
+ * @returns {Promise<{name: string, version: string, chainId: bigint, verifyingContract: string}>} the domain.
+ */
+async function getDomain(pointsContract) {
+  const {chainId} = await pointsContract.runner.provider.getNetwork();
+  return {
+    name: 'Points',
+    version: '2',
+    chainId,
+    verifyingContract: await pointsContract.getAddress(),
+  };
+}
+
+/**
+ * Reads the current signature nonce of a holder for a spender (or for a callback target, for the spend and call signatures).
+ * @param {import('ethers').BaseContract} pointsContract the PointsV2 contract.
+ * @param {string} holder the holder address.
+ * @param {string} spender the spender address.
+ * @returns {Promise<bigint>} the nonce.
+ */
+async function getNonce(pointsContract, holder, spender) {
+  return pointsContract.nonces(await pointsContract.getNonceKey(holder, spender));
+}
+
+/**
+ * Signs an approval for PointsV2.approveWithSignature, using the current nonce unless one is provided.
+ * @param {import('ethers').Signer} signer the holder.
+ * @param {import('ethers').BaseContract} pointsContract the PointsV2 contract.
+ * @param {{spender: string, amount: bigint, deadline: bigint, nonce: (bigint|undefined)}} approval the approval.
+ * @returns {Promise<{holder: string, spender: string, amount: bigint, deadline: bigint, nonce: bigint, signature: string}>} the signed approval.
+ */
+async function signApprove(signer, pointsContract, {spender, amount, deadline, nonce}) {
+  const holder = await signer.getAddress();
+  const message = {holder, spender, amount, deadline, nonce: nonce ?? (await getNonce(pointsContract, holder, spender))};
+  return {...message, signature: await signer.signTypedData(await getDomain(pointsContract), ApproveType, message)};
+}
+
+/**
+ * Signs a spend for PointsV2.spendWithSignature, using the current nonce unless one is provided.
+ * @param {import('ethers').Signer} signer the holder.
+ * @param {import('ethers').BaseContract} pointsContract the PointsV2 contract.
+ * @param {{spender: string, amount: bigint, deadline: bigint, nonce: (bigint|undefined)}} spend the spend.
+ * @returns {Promise<{holder: string, spender: string, amount: bigint, deadline: bigint, nonce: bigint, signature: string}>} the signed spend.
+ */
+async function signSpend(signer, pointsContract, {spender, amount, deadline, nonce}) {
+  const holder = await signer.getAddress();
+  const message = {holder, spender, amount, deadline, nonce: nonce ?? (await getNonce(pointsContract, holder, spender))};
+  return {...message, signature: await signer.signTypedData(await getDomain(pointsContract), SpendType, message)};
+}
+
+/**
+ * Signs a spend and call for PointsV2.spendAndCallWithSignature, using the current nonce unless one is provided.
+ * @param {import('ethers').Signer} signer the holder.
+ * @param {import('ethers').BaseContract} pointsContract the PointsV2 contract.
+ * @param {{amount: bigint, target: string, data: string, deadline: bigint, nonce: (bigint|undefined)}} spendAndCall the spend and call.
+ * @returns {Promise<object>} the signed spend and call, ie. the `holder`, `amount`, `target`, `data`, `deadline` and `nonce` with the `signature`.
+ */
+async function signSpendAndCall(signer, pointsContract, {amount, target, data, deadline, nonce}) {
+  const holder = await signer.getAddress();
+  const message = {holder, amount, target, data, deadline, nonce: nonce ?? (await getNonce(pointsContract, holder, target))};
+  return {...message, signature: await signer.signTypedData(await getDomain(pointsContract), SpendAndCallType, message)};
+}
+
+module.exports = {
+  ApproveType,
+  SpendType,
+  SpendAndCallType,
+  getDomain,
+  getNonce,
+  signApprove,
+  signSpend,
+  signSpendAndCall,
+};
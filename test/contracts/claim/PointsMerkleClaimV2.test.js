@@ -1,21 +1,40 @@
 const {ethers} = require('hardhat');
 const {expect} = require('chai');
 const {MerkleTree} = require('merkletreejs');
+const {time} = require('@nomicfoundation/hardhat-network-helpers');
 const {getForwarderRegistryAddress} = require('@animoca/ethereum-contracts/test/helpers/registries');
 const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
 const {deployContract} = require('@animoca/ethereum-contract-helpers/src/test/deploy');
+const {buildDistribution} = require('../../../src/claim/PointsMerkleClaimV2');
+
+const ClaimType = {
+  Claim: [
+    {name: 'root', type: 'bytes32'},
+    {name: 'leaf', type: 'bytes32'},
+    {name: 'relayer', type: 'address'},
+    {name: 'receiver', type: 'address'},
+    {name: 'deadline', type: 'uint256'},
+    {name: 'nonce', type: 'uint256'},
+  ],
+};
 
 describe('PointsMerkleClaimV2', function () {
-  let claimer, other;
+  let deployer, claimer, other, relayer;
 
   before(async function () {
-    [, claimer, other] = await ethers.getSigners();
+    [deployer, claimer, other, relayer] = await ethers.getSigners();
   });
 
   const fixture = async function () {
     this.points = await deployContract('PointsV2', await getForwarderRegistryAddress());
     this.contract = await deployContract('PointsMerkleClaimV2', await this.points.getAddress());
     await this.points.grantRole(await this.points.DEPOSITOR_ROLE(), await this.contract.getAddress());
+    this.domain = {
+      name: 'PointsMerkleClaim',
+      version: '2',
+      chainId: await getChainId(),
+      verifyingContract: await this.contract.getAddress(),
+    };
   };
 
   beforeEach(async function () {
@@ -59,6 +78,304 @@ describe('PointsMerkleClaimV2', function () {
       it('emits a MerkleRootActivated event', async function () {
         await expect(this.receipt).to.emit(this.contract, 'MerkleRootActivated').withArgs(ethers.ZeroHash);
       });
+      it('sets an empty merkle root info', async function () {
+        const info = await this.contract.rootInfos(ethers.ZeroHash);
+        expect(info.uri).to.equal('');
+        expect(info.startTime).to.equal(0);
+        expect(info.endTime).to.equal(0);
+        expect(info.budget).to.equal(0);
+        expect(info.claimedAmount).to.equal(0);
+      });
+      it('emits a MerkleRootInfoSet event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'MerkleRootInfoSet').withArgs(ethers.ZeroHash, '', 0, 0, 0, 0, false);
+      });
+    });
+
+    context('when re-activating a merkle root activated with metadata', function () {
+      beforeEach(async function () {
+        await this.contract.activateIndexedMerkleRoot(ethers.ZeroHash, 'ipfs://manifest', 100, 200, 2000, 1000);
+        await this.contract.deactivateMerkleRoot(ethers.ZeroHash);
+        this.receipt = await this.contract.activateMerkleRoot(ethers.ZeroHash);
+      });
+
+      it('keeps the merkle root info', async function () {
+        const info = await this.contract.rootInfos(ethers.ZeroHash);
+        expect(info.uri).to.equal('ipfs://manifest');
+        expect(info.startTime).to.equal(100);
+        expect(info.endTime).to.equal(200);
+        expect(info.declaredTotal).to.equal(2000);
+        expect(info.budget).to.equal(1000);
+        expect(info.isIndexed).to.equal(true);
+      });
+      it('emits a MerkleRootInfoSet event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'MerkleRootInfoSet')
+          .withArgs(ethers.ZeroHash, 'ipfs://manifest', 100, 200, 2000, 1000, true);
+      });
+    });
+  });
+
+  describe('activateMerkleRoot(bytes32,string,uint64,uint64,uint256,uint256)', function () {
+    const activate = 'activateMerkleRoot(bytes32,string,uint64,uint64,uint256,uint256)';
+
+    it('reverts if not owner', async function () {
+      await expect(this.contract.connect(other)[activate](ethers.ZeroHash, 'ipfs://manifest', 0, 0, 2000, 0))
+        .to.be.revertedWithCustomError(this.contract, 'NotContractOwner')
+        .withArgs(other.address);
+    });
+
+    it('reverts if the declared total is zero', async function () {
+      await expect(this.contract[activate](ethers.ZeroHash, 'ipfs://manifest', 0, 0, 0, 0))
+        .to.be.revertedWithCustomError(this.contract, 'InvalidDeclaredTotal')
+        .withArgs(ethers.ZeroHash, 0, 0);
+    });
+
+    it('reverts if the end time is before the start time', async function () {
+      await expect(this.contract[activate](ethers.ZeroHash, 'ipfs://manifest', 200, 100, 2000, 0))
+        .to.be.revertedWithCustomError(this.contract, 'InvalidActivationWindow')
+        .withArgs(200, 100);
+    });
+
+    it('reverts if the merkle root was previously activated as indexed', async function () {
+      await this.contract.activateIndexedMerkleRoot(ethers.ZeroHash, 'ipfs://manifest', 0, 0, 2000, 0);
+      await this.contract.deactivateMerkleRoot(ethers.ZeroHash);
+      await expect(this.contract[activate](ethers.ZeroHash, 'ipfs://manifest', 0, 0, 2000, 0))
+        .to.be.revertedWithCustomError(this.contract, 'InvalidClaimMode')
+        .withArgs(ethers.ZeroHash);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.contract[activate](ethers.ZeroHash, 'ipfs://manifest', 100, 200, 2000, 1000);
+      });
+
+      it('reverts if merkle root already activated', async function () {
+        await expect(this.contract[activate](ethers.ZeroHash, 'ipfs://manifest', 100, 200, 2000, 1000))
+          .to.be.revertedWithCustomError(this.contract, 'MerkleRootAlreadyActivated')
+          .withArgs(ethers.ZeroHash);
+      });
+
+      it('sets the merkle root', async function () {
+        expect(await this.contract.roots(ethers.ZeroHash)).to.equal(true);
+      });
+      it('sets the merkle root info', async function () {
+        const info = await this.contract.rootInfos(ethers.ZeroHash);
+        expect(info.uri).to.equal('ipfs://manifest');
+        expect(info.startTime).to.equal(100);
+        expect(info.endTime).to.equal(200);
+        expect(info.declaredTotal).to.equal(2000);
+        expect(info.budget).to.equal(1000);
+        expect(info.claimedAmount).to.equal(0);
+        expect(info.isIndexed).to.equal(false);
+      });
+      it('emits a MerkleRootActivated event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'MerkleRootActivated').withArgs(ethers.ZeroHash);
+      });
+      it('emits a MerkleRootInfoSet event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'MerkleRootInfoSet')
+          .withArgs(ethers.ZeroHash, 'ipfs://manifest', 100, 200, 2000, 1000, false);
+      });
+    });
+  });
+
+  describe('activateIndexedMerkleRoot(bytes32,string,uint64,uint64,uint256,uint256)', function () {
+    it('reverts if not owner', async function () {
+      await expect(this.contract.connect(other).activateIndexedMerkleRoot(ethers.ZeroHash, '', 0, 0, 2000, 0))
+        .to.be.revertedWithCustomError(this.contract, 'NotContractOwner')
+        .withArgs(other.address);
+    });
+
+    it('reverts if the end time is before the start time', async function () {
+      await expect(this.contract.activateIndexedMerkleRoot(ethers.ZeroHash, '', 200, 100, 2000, 0))
+        .to.be.revertedWithCustomError(this.contract, 'InvalidActivationWindow')
+        .withArgs(200, 100);
+    });
+
+    it('reverts if the merkle root was previously activated as not indexed', async function () {
+      await this.contract.activateMerkleRoot(ethers.ZeroHash);
+      await this.contract.deactivateMerkleRoot(ethers.ZeroHash);
+      await expect(this.contract.activateIndexedMerkleRoot(ethers.ZeroHash, '', 0, 0, 2000, 0))
+        .to.be.revertedWithCustomError(this.contract, 'InvalidClaimMode')
+        .withArgs(ethers.ZeroHash);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.contract.activateIndexedMerkleRoot(ethers.ZeroHash, 'ipfs://manifest', 100, 200, 2000, 1000);
+      });
+
+      it('reverts if merkle root already activated', async function () {
+        await expect(this.contract.activateMerkleRoot(ethers.ZeroHash))
+          .to.be.revertedWithCustomError(this.contract, 'MerkleRootAlreadyActivated')
+          .withArgs(ethers.ZeroHash);
+      });
+
+      it('sets the merkle root', async function () {
+        expect(await this.contract.roots(ethers.ZeroHash)).to.equal(true);
+      });
+      it('sets the merkle root as indexed', async function () {
+        expect((await this.contract.rootInfos(ethers.ZeroHash)).isIndexed).to.equal(true);
+      });
+      it('emits a MerkleRootActivated event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'MerkleRootActivated').withArgs(ethers.ZeroHash);
+      });
+      it('emits a MerkleRootInfoSet event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'MerkleRootInfoSet')
+          .withArgs(ethers.ZeroHash, 'ipfs://manifest', 100, 200, 2000, 1000, true);
+      });
+    });
+  });
+
+  describe('finalizeMerkleRoot(bytes32)', function () {
+    beforeEach(async function () {
+      this.distribution = buildDistribution(
+        [
+          {holder: claimer.address, amount: 100},
+          {holder: other.address, amount: 200},
+        ],
+        {depositReasonCode: ethers.ZeroHash, deadline: 9999999999, distributionId: ethers.encodeBytes32String('finalize')},
+      );
+      this.root = this.distribution.root;
+      const claim = this.distribution.claims[0];
+      this.claimArgs = [this.root, claim.holder, claim.amount, claim.depositReasonCode, claim.deadline, claim.distributionId, claim.proof];
+    });
+
+    it('reverts if not owner', async function () {
+      await expect(this.contract.connect(other).finalizeMerkleRoot(this.root))
+        .to.be.revertedWithCustomError(this.contract, 'NotContractOwner')
+        .withArgs(other.address);
+    });
+
+    it('reverts if merkle root not activated', async function () {
+      await expect(this.contract.finalizeMerkleRoot(this.root))
+        .to.be.revertedWithCustomError(this.contract, 'MissingDeclaredTotal')
+        .withArgs(this.root);
+    });
+
+    it('reverts if merkle root activated without a declared total', async function () {
+      await this.contract.activateMerkleRoot(this.root);
+      await expect(this.contract.finalizeMerkleRoot(this.root))
+        .to.be.revertedWithCustomError(this.contract, 'MissingDeclaredTotal')
+        .withArgs(this.root);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        await this.contract['activateMerkleRoot(bytes32,string,uint64,uint64,uint256,uint256)'](
+          this.root,
+          '',
+          0,
+          0,
+          this.distribution.totalAmount,
+          0,
+        );
+        await this.contract.claim(...this.claimArgs);
+        this.receipt = await this.contract.finalizeMerkleRoot(this.root);
+      });
+
+      it('deactivates the merkle root', async function () {
+        expect(await this.contract.roots(this.root)).to.equal(false);
+      });
+
+      it('marks the merkle root as finalized', async function () {
+        expect((await this.contract.rootInfos(this.root)).finalized).to.equal(true);
+      });
+
+      it('reverts when claiming afterwards', async function () {
+        const claim = this.distribution.claims[1];
+        await expect(
+          this.contract.claim(this.root, claim.holder, claim.amount, claim.depositReasonCode, claim.deadline, claim.distributionId, claim.proof),
+        )
+          .to.be.revertedWithCustomError(this.contract, 'MerkleRootNotActivated')
+          .withArgs(this.root);
+      });
+
+      it('reverts when activating the merkle root again', async function () {
+        await expect(this.contract.activateMerkleRoot(this.root))
+          .to.be.revertedWithCustomError(this.contract, 'MerkleRootFinalized')
+          .withArgs(this.root);
+      });
+
+      it('reverts when finalizing the merkle root again', async function () {
+        await expect(this.contract.finalizeMerkleRoot(this.root))
+          .to.be.revertedWithCustomError(this.contract, 'MerkleRootFinalized')
+          .withArgs(this.root);
+      });
+
+      it('emits a MerkleRootDeactivated event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'MerkleRootDeactivated').withArgs(this.root);
+      });
+
+      it('emits a DistributionFinalized event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'DistributionFinalized').withArgs(this.root, 300, 100, 200);
+      });
+    });
+
+    context('when successful for a deactivated merkle root with a budget below the declared total', function () {
+      beforeEach(async function () {
+        await this.contract['activateMerkleRoot(bytes32,string,uint64,uint64,uint256,uint256)'](
+          this.root,
+          '',
+          0,
+          0,
+          this.distribution.totalAmount,
+          150,
+        );
+        await this.contract.claim(...this.claimArgs);
+        await this.contract.deactivateMerkleRoot(this.root);
+        this.receipt = await this.contract.finalizeMerkleRoot(this.root);
+      });
+
+      it('marks the merkle root as finalized', async function () {
+        expect((await this.contract.rootInfos(this.root)).finalized).to.equal(true);
+      });
+
+      it('does not emit a MerkleRootDeactivated event', async function () {
+        await expect(this.receipt).not.to.emit(this.contract, 'MerkleRootDeactivated');
+      });
+
+      it('emits a DistributionFinalized event with the unclaimed amount of the declared total', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'DistributionFinalized').withArgs(this.root, 300, 100, 200);
+      });
+    });
+
+    context('when successful for a merkle root re-activated without metadata', function () {
+      beforeEach(async function () {
+        await this.contract['activateMerkleRoot(bytes32,string,uint64,uint64,uint256,uint256)'](
+          this.root,
+          'ipfs://manifest',
+          0,
+          0,
+          this.distribution.totalAmount,
+          0,
+        );
+        await this.contract.claim(...this.claimArgs);
+        await this.contract.deactivateMerkleRoot(this.root);
+        await this.contract.activateMerkleRoot(this.root);
+        this.receipt = await this.contract.finalizeMerkleRoot(this.root);
+      });
+
+      it('marks the merkle root as finalized', async function () {
+        expect((await this.contract.rootInfos(this.root)).finalized).to.equal(true);
+      });
+
+      it('emits a DistributionFinalized event with the declared total of the first activation', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'DistributionFinalized').withArgs(this.root, 300, 100, 200);
+      });
+    });
+  });
+
+  describe('getRemainingBudget(bytes32)', function () {
+    it('returns type(uint256).max for a merkle root with unlimited budget', async function () {
+      await this.contract.activateMerkleRoot(ethers.ZeroHash);
+      expect(await this.contract.getRemainingBudget(ethers.ZeroHash)).to.equal(ethers.MaxUint256);
+    });
+
+    it('returns the budget for a merkle root without claims', async function () {
+      await this.contract['activateMerkleRoot(bytes32,string,uint64,uint64,uint256,uint256)'](ethers.ZeroHash, '', 0, 0, 1000, 1000);
+      expect(await this.contract.getRemainingBudget(ethers.ZeroHash)).to.equal(1000);
     });
   });
 
@@ -223,6 +540,130 @@ describe('PointsMerkleClaimV2', function () {
         );
     });
 
+    context('with an activation window and a budget', function () {
+      beforeEach(async function () {
+        this.start = (await time.latest()) + 100;
+        this.end = this.start + 100;
+        this.claimArgs = [
+          this.root,
+          this.claimData.holder,
+          this.claimData.amount,
+          this.claimData.depositReasonCode,
+          this.claimData.deadline,
+          this.claimData.distributionId,
+          this.claimData.proof,
+        ];
+        await this.contract.deactivateMerkleRoot(this.root);
+      });
+
+      it('reverts if the activation window has not started', async function () {
+        await this.contract['activateMerkleRoot(bytes32,string,uint64,uint64,uint256,uint256)'](this.root, '', this.start, this.end, 1, 0);
+        await expect(this.contract.claim(...this.claimArgs))
+          .to.be.revertedWithCustomError(this.contract, 'MerkleRootNotStarted')
+          .withArgs(this.root, this.start);
+      });
+
+      it('reverts if the activation window has ended', async function () {
+        await this.contract['activateMerkleRoot(bytes32,string,uint64,uint64,uint256,uint256)'](this.root, '', this.start, this.end, 1, 0);
+        await time.increaseTo(this.end + 1);
+        await expect(this.contract.claim(...this.claimArgs))
+          .to.be.revertedWithCustomError(this.contract, 'MerkleRootEnded')
+          .withArgs(this.root, this.end);
+      });
+
+      it('reverts if the claim exceeds the budget', async function () {
+        const distribution = buildDistribution(
+          [
+            {holder: claimer.address, amount: 1},
+            {holder: other.address, amount: 1},
+          ],
+          {depositReasonCode: ethers.ZeroHash, deadline: this.claimData.deadline, distributionId: this.claimData.distributionId},
+        );
+        await this.contract['activateMerkleRoot(bytes32,string,uint64,uint64,uint256,uint256)'](distribution.root, '', 0, 0, 2, 1);
+        const claimArgs = (claim) => [
+          distribution.root,
+          claim.holder,
+          claim.amount,
+          claim.depositReasonCode,
+          claim.deadline,
+          claim.distributionId,
+          claim.proof,
+        ];
+        await this.contract.claim(...claimArgs(distribution.claims[0]));
+        await expect(this.contract.claim(...claimArgs(distribution.claims[1])))
+          .to.be.revertedWithCustomError(this.contract, 'MerkleRootBudgetExceeded')
+          .withArgs(distribution.root, 1, 1, 1);
+      });
+
+      it('reverts if re-activated with a budget below the claimed amount', async function () {
+        const distribution = buildDistribution(
+          [
+            {holder: claimer.address, amount: 1},
+            {holder: other.address, amount: 1},
+          ],
+          {depositReasonCode: ethers.ZeroHash, deadline: this.claimData.deadline, distributionId: this.claimData.distributionId},
+        );
+        await this.contract.activateMerkleRoot(distribution.root);
+        for (const claim of distribution.claims) {
+          await this.contract.claim(
+            distribution.root,
+            claim.holder,
+            claim.amount,
+            claim.depositReasonCode,
+            claim.deadline,
+            claim.distributionId,
+            claim.proof,
+          );
+        }
+        await this.contract.deactivateMerkleRoot(distribution.root);
+        await expect(this.contract['activateMerkleRoot(bytes32,string,uint64,uint64,uint256,uint256)'](distribution.root, '', 0, 0, 2, 1))
+          .to.be.revertedWithCustomError(this.contract, 'InvalidBudget')
+          .withArgs(distribution.root, 1, 2);
+      });
+
+      it('reverts if re-activated with a declared total below the claimed amount', async function () {
+        const distribution = buildDistribution(
+          [
+            {holder: claimer.address, amount: 1},
+            {holder: other.address, amount: 1},
+          ],
+          {depositReasonCode: ethers.ZeroHash, deadline: this.claimData.deadline, distributionId: this.claimData.distributionId},
+        );
+        await this.contract.activateMerkleRoot(distribution.root);
+        for (const claim of distribution.claims) {
+          await this.contract.claim(
+            distribution.root,
+            claim.holder,
+            claim.amount,
+            claim.depositReasonCode,
+            claim.deadline,
+            claim.distributionId,
+            claim.proof,
+          );
+        }
+        await this.contract.deactivateMerkleRoot(distribution.root);
+        await expect(this.contract['activateMerkleRoot(bytes32,string,uint64,uint64,uint256,uint256)'](distribution.root, '', 0, 0, 1, 0))
+          .to.be.revertedWithCustomError(this.contract, 'InvalidDeclaredTotal')
+          .withArgs(distribution.root, 1, 2);
+      });
+
+      context('when successful', function () {
+        beforeEach(async function () {
+          await this.contract['activateMerkleRoot(bytes32,string,uint64,uint64,uint256,uint256)'](this.root, '', this.start, this.end, 1, 10);
+          await time.increaseTo(this.start);
+          this.receipt = await this.contract.claim(...this.claimArgs);
+        });
+
+        it('deposits points to the claimer', async function () {
+          expect(await this.points.balances(claimer.address)).to.equal(this.claimData.amount);
+        });
+
+        it('decreases the remaining budget', async function () {
+          expect(await this.contract.getRemainingBudget(this.root)).to.equal(10 - this.claimData.amount);
+        });
+      });
+    });
+
     context('when successful', function () {
       beforeEach(async function () {
         this.receipt = await this.contract
@@ -242,6 +683,10 @@ describe('PointsMerkleClaimV2', function () {
         expect(await this.contract.claimed(this.claimData.leafHash)).to.equal(true);
       });
 
+      it('increases the claimed amount of the merkle root', async function () {
+        expect((await this.contract.rootInfos(this.root)).claimedAmount).to.equal(1);
+      });
+
       it('deposits points to the claimer', async function () {
         expect(await this.points.balances(claimer.address)).to.equal(1);
       });
@@ -260,4 +705,536 @@ describe('PointsMerkleClaimV2', function () {
       });
     });
   });
+
+  describe('claimMany', function () {
+    const toClaimData = (root, claim) => ({
+      root,
+      holder: claim.holder,
+      amount: claim.amount,
+      depositReasonCode: claim.depositReasonCode,
+      deadline: claim.deadline,
+      distributionId: claim.distributionId,
+      proof: claim.proof,
+    });
+
+    beforeEach(async function () {
+      const deadline = 9999999999;
+      this.week1 = buildDistribution(
+        [
+          {holder: claimer.address, amount: 1},
+          {holder: other.address, amount: 2},
+        ],
+        {depositReasonCode: ethers.ZeroHash, deadline, distributionId: ethers.encodeBytes32String('week-1')},
+      );
+      this.week2 = buildDistribution([{holder: claimer.address, amount: 3}], {
+        depositReasonCode: ethers.ZeroHash,
+        deadline,
+        distributionId: ethers.encodeBytes32String('week-2'),
+      });
+      await this.contract.activateMerkleRoot(this.week1.root);
+      await this.contract.activateMerkleRoot(this.week2.root);
+      this.claims = [toClaimData(this.week1.root, this.week1.claims[0]), toClaimData(this.week2.root, this.week2.claims[0])];
+      this.invalidClaim = {...toClaimData(this.week1.root, this.week1.claims[1]), proof: [ethers.ZeroHash]};
+    });
+
+    context('when not skipping invalid payouts', function () {
+      it('reverts if any of the payouts is invalid', async function () {
+        await expect(this.contract.claimMany([...this.claims, this.invalidClaim], false))
+          .to.be.revertedWithCustomError(this.contract, 'InvalidProof')
+          .withArgs(
+            this.invalidClaim.root,
+            this.invalidClaim.holder,
+            this.invalidClaim.amount,
+            this.invalidClaim.depositReasonCode,
+            this.invalidClaim.deadline,
+            this.invalidClaim.distributionId,
+          );
+      });
+
+      it('reverts if the points deposit of a payout fails', async function () {
+        await this.points.grantRole(await this.points.FREEZER_ROLE(), deployer.address);
+        await this.points.freeze(claimer.address);
+        await expect(this.contract.claimMany(this.claims, false))
+          .to.be.revertedWithCustomError(this.points, 'HolderFrozen')
+          .withArgs(claimer.address);
+      });
+
+      it('reverts if the same payout is claimed twice', async function () {
+        await expect(this.contract.claimMany([this.claims[0], this.claims[0]], false))
+          .to.be.revertedWithCustomError(this.contract, 'AlreadyClaimed')
+          .withArgs(
+            this.claims[0].root,
+            this.claims[0].holder,
+            this.claims[0].amount,
+            this.claims[0].depositReasonCode,
+            this.claims[0].deadline,
+            this.claims[0].distributionId,
+          );
+      });
+
+      context('when successful', function () {
+        beforeEach(async function () {
+          this.result = await this.contract.claimMany.staticCall(this.claims, false);
+          this.receipt = await this.contract.claimMany(this.claims, false);
+        });
+
+        it('returns the claim summary', async function () {
+          expect(this.result.claimedFlags).to.deep.equal([true, true]);
+          expect(this.result.totalClaimed).to.equal(4);
+        });
+
+        it('marks the payouts as claimed', async function () {
+          expect(await this.contract.claimed(this.week1.claims[0].leaf)).to.equal(true);
+          expect(await this.contract.claimed(this.week2.claims[0].leaf)).to.equal(true);
+        });
+
+        it('deposits points to the holder', async function () {
+          expect(await this.points.balances(claimer.address)).to.equal(4);
+        });
+
+        it('emits a PayoutClaimed event for each payout', async function () {
+          for (const claim of this.claims) {
+            await expect(this.receipt)
+              .to.emit(this.contract, 'PayoutClaimed')
+              .withArgs(claim.root, claim.holder, claim.depositReasonCode, claim.amount, claim.deadline, claim.distributionId);
+          }
+        });
+      });
+    });
+
+    context('when skipping invalid payouts', function () {
+      beforeEach(async function () {
+        await this.contract.claim(...Object.values(this.claims[1]));
+        this.batch = [
+          this.claims[0],
+          this.claims[1], // already claimed
+          this.invalidClaim,
+          {...this.claims[0], root: ethers.ZeroHash}, // root not activated
+          {...this.claims[0], amount: 0}, // zero amount
+          {...this.claims[0], deadline: 0}, // expired
+        ];
+        this.result = await this.contract.claimMany.staticCall(this.batch, true);
+        this.receipt = await this.contract.claimMany(this.batch, true);
+      });
+
+      it('returns the claim summary', async function () {
+        expect(this.result.claimedFlags).to.deep.equal([true, false, false, false, false, false]);
+        expect(this.result.totalClaimed).to.equal(1);
+      });
+
+      it('deposits points only for the valid payouts', async function () {
+        expect(await this.points.balances(claimer.address)).to.equal(4);
+        expect(await this.points.balances(other.address)).to.equal(0);
+      });
+
+      it('emits a PayoutClaimed event only for the valid payouts', async function () {
+        const events = await this.contract.queryFilter(this.contract.filters.PayoutClaimed, this.receipt.blockNumber, this.receipt.blockNumber);
+        expect(events.length).to.equal(1);
+        expect(events[0].args.root).to.equal(this.claims[0].root);
+        expect(events[0].args.holder).to.equal(this.claims[0].holder);
+      });
+    });
+
+    context('when skipping payouts whose points deposit fails', function () {
+      beforeEach(async function () {
+        await this.points.grantRole(await this.points.FREEZER_ROLE(), deployer.address);
+        await this.points.freeze(claimer.address);
+        this.batch = [this.claims[0], toClaimData(this.week1.root, this.week1.claims[1])];
+        this.result = await this.contract.claimMany.staticCall(this.batch, true);
+        this.receipt = await this.contract.claimMany(this.batch, true);
+      });
+
+      it('returns the claim summary', async function () {
+        expect(this.result.claimedFlags).to.deep.equal([false, true]);
+        expect(this.result.totalClaimed).to.equal(2);
+      });
+
+      it('does not mark the failed payout as claimed', async function () {
+        expect(await this.contract.claimed(this.week1.claims[0].leaf)).to.equal(false);
+        expect(await this.contract.claimed(this.week1.claims[1].leaf)).to.equal(true);
+      });
+
+      it('does not count the failed payout in the claimed amount of the merkle root', async function () {
+        expect((await this.contract.rootInfos(this.week1.root)).claimedAmount).to.equal(2);
+      });
+
+      it('allows claiming the failed payout later', async function () {
+        await this.points.unfreeze(claimer.address);
+        await this.contract.claimMany([this.claims[0]], true);
+        expect(await this.points.balances(claimer.address)).to.equal(1);
+      });
+    });
+  });
+
+  describe('claimIndexed', function () {
+    const toClaimData = (root, claim) => ({
+      root,
+      index: claim.index,
+      holder: claim.holder,
+      amount: claim.amount,
+      depositReasonCode: claim.depositReasonCode,
+      deadline: claim.deadline,
+      distributionId: claim.distributionId,
+      proof: claim.proof,
+    });
+
+    beforeEach(async function () {
+      this.distribution = buildDistribution(
+        [
+          {holder: claimer.address, amount: 1},
+          {holder: other.address, amount: 2},
+          {holder: claimer.address, amount: 3},
+        ],
+        {depositReasonCode: ethers.ZeroHash, deadline: 9999999999, distributionId: ethers.encodeBytes32String('indexed')},
+        {indexed: true},
+      );
+      this.root = this.distribution.root;
+      this.claim = this.distribution.claims[2];
+      await this.contract.activateIndexedMerkleRoot(this.root, '', 0, 0, this.distribution.totalAmount, 0);
+    });
+
+    it('reverts if claim amount is zero', async function () {
+      await expect(this.contract.claimIndexed(toClaimData(this.root, {...this.claim, amount: 0})))
+        .to.be.revertedWithCustomError(this.contract, 'InvalidClaimAmount')
+        .withArgs(0);
+    });
+
+    it('reverts if claim is expired', async function () {
+      await expect(this.contract.claimIndexed(toClaimData(this.root, {...this.claim, deadline: 0})))
+        .to.be.revertedWithCustomError(this.contract, 'ClaimExpired')
+        .withArgs(0);
+    });
+
+    it('reverts if merkle root does not activated', async function () {
+      await expect(this.contract.claimIndexed(toClaimData(ethers.ZeroHash, this.claim)))
+        .to.be.revertedWithCustomError(this.contract, 'MerkleRootNotActivated')
+        .withArgs(ethers.ZeroHash);
+    });
+
+    it('reverts if merkle root is not indexed', async function () {
+      await this.contract.activateMerkleRoot(ethers.ZeroHash);
+      await expect(this.contract.claimIndexed(toClaimData(ethers.ZeroHash, this.claim)))
+        .to.be.revertedWithCustomError(this.contract, 'InvalidClaimMode')
+        .withArgs(ethers.ZeroHash);
+    });
+
+    it('reverts if claiming an indexed merkle root with claim', async function () {
+      await expect(
+        this.contract.claim(
+          this.root,
+          this.claim.holder,
+          this.claim.amount,
+          this.claim.depositReasonCode,
+          this.claim.deadline,
+          this.claim.distributionId,
+          this.claim.proof,
+        ),
+      )
+        .to.be.revertedWithCustomError(this.contract, 'InvalidClaimMode')
+        .withArgs(this.root);
+    });
+
+    it('reverts if merkle proof is invalid', async function () {
+      await expect(this.contract.claimIndexed(toClaimData(this.root, {...this.claim, index: 0})))
+        .to.be.revertedWithCustomError(this.contract, 'InvalidProof')
+        .withArgs(this.root, this.claim.holder, this.claim.amount, this.claim.depositReasonCode, this.claim.deadline, this.claim.distributionId);
+    });
+
+    it('reverts if trying to claim twice', async function () {
+      await this.contract.claimIndexed(toClaimData(this.root, this.claim));
+      await expect(this.contract.claimIndexed(toClaimData(this.root, this.claim)))
+        .to.be.revertedWithCustomError(this.contract, 'AlreadyClaimed')
+        .withArgs(this.root, this.claim.holder, this.claim.amount, this.claim.depositReasonCode, this.claim.deadline, this.claim.distributionId);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.contract.claimIndexed(toClaimData(this.root, this.claim));
+      });
+
+      it('marks the index as claimed', async function () {
+        expect(await this.contract.isClaimed(this.root, this.claim.index)).to.equal(true);
+        expect(await this.contract.claimedBitmaps(this.root, 0)).to.equal(1n << BigInt(this.claim.index));
+      });
+
+      it('does not mark the other indexes as claimed', async function () {
+        expect(await this.contract.isClaimed(this.root, 0)).to.equal(false);
+        expect(await this.contract.isClaimed(this.root, 1)).to.equal(false);
+      });
+
+      it('does not mark the leaf hash as claimed', async function () {
+        expect(await this.contract.claimed(this.claim.leaf)).to.equal(false);
+      });
+
+      it('increases the claimed amount of the merkle root', async function () {
+        expect((await this.contract.rootInfos(this.root)).claimedAmount).to.equal(this.claim.amount);
+      });
+
+      it('deposits points to the claimer', async function () {
+        expect(await this.points.balances(claimer.address)).to.equal(this.claim.amount);
+      });
+
+      it('emits a PayoutClaimed event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'PayoutClaimed')
+          .withArgs(this.root, this.claim.holder, this.claim.depositReasonCode, this.claim.amount, this.claim.deadline, this.claim.distributionId);
+      });
+    });
+
+    describe('claimManyIndexed', function () {
+      it('reverts if any of the payouts is invalid when not skipping invalid payouts', async function () {
+        const invalidClaim = {...toClaimData(this.root, this.distribution.claims[1]), index: 2};
+        await expect(this.contract.claimManyIndexed([toClaimData(this.root, this.distribution.claims[0]), invalidClaim], false))
+          .to.be.revertedWithCustomError(this.contract, 'InvalidProof')
+          .withArgs(
+            this.root,
+            invalidClaim.holder,
+            invalidClaim.amount,
+            invalidClaim.depositReasonCode,
+            invalidClaim.deadline,
+            invalidClaim.distributionId,
+          );
+      });
+
+      context('when skipping invalid payouts', function () {
+        beforeEach(async function () {
+          const claims = this.distribution.claims.map((claim) => toClaimData(this.root, claim));
+          this.batch = [...claims, claims[0], {...claims[1], index: 0}];
+          this.result = await this.contract.claimManyIndexed.staticCall(this.batch, true);
+          this.receipt = await this.contract.claimManyIndexed(this.batch, true);
+        });
+
+        it('returns the claim summary', async function () {
+          expect(this.result.claimedFlags).to.deep.equal([true, true, true, false, false]);
+          expect(this.result.totalClaimed).to.equal(6);
+        });
+
+        it('marks the indexes as claimed', async function () {
+          for (const claim of this.distribution.claims) {
+            expect(await this.contract.isClaimed(this.root, claim.index)).to.equal(true);
+          }
+        });
+
+        it('deposits points to the holders', async function () {
+          expect(await this.points.balances(claimer.address)).to.equal(4);
+          expect(await this.points.balances(other.address)).to.equal(2);
+        });
+      });
+
+      context('when skipping payouts whose points deposit fails', function () {
+        beforeEach(async function () {
+          await this.points.grantRole(await this.points.FREEZER_ROLE(), deployer.address);
+          await this.points.freeze(other.address);
+          this.batch = this.distribution.claims.map((claim) => toClaimData(this.root, claim));
+          this.result = await this.contract.claimManyIndexed.staticCall(this.batch, true);
+          this.receipt = await this.contract.claimManyIndexed(this.batch, true);
+        });
+
+        it('returns the claim summary', async function () {
+          expect(this.result.claimedFlags).to.deep.equal([true, false, true]);
+          expect(this.result.totalClaimed).to.equal(4);
+        });
+
+        it('does not mark the index of the failed payout as claimed', async function () {
+          expect(await this.contract.isClaimed(this.root, this.distribution.claims[0].index)).to.equal(true);
+          expect(await this.contract.isClaimed(this.root, this.distribution.claims[1].index)).to.equal(false);
+          expect(await this.contract.isClaimed(this.root, this.distribution.claims[2].index)).to.equal(true);
+        });
+
+        it('does not count the failed payout in the claimed amount of the merkle root', async function () {
+          expect((await this.contract.rootInfos(this.root)).claimedAmount).to.equal(4);
+        });
+      });
+    });
+  });
+
+  describe('claimWithSignature', function () {
+    beforeEach(async function () {
+      this.distribution = buildDistribution(
+        [
+          {holder: claimer.address, amount: 1},
+          {holder: other.address, amount: 2},
+        ],
+        {depositReasonCode: ethers.ZeroHash, deadline: 9999999999, distributionId: ethers.encodeBytes32String('signed')},
+      );
+      this.root = this.distribution.root;
+      const claim = this.distribution.claims[0];
+      this.claim = claim;
+      this.claimData = {
+        root: this.root,
+        holder: claim.holder,
+        amount: claim.amount,
+        depositReasonCode: claim.depositReasonCode,
+        deadline: claim.deadline,
+        distributionId: claim.distributionId,
+        proof: claim.proof,
+      };
+      this.signatureDeadline = 9999999999;
+      this.sign = (signer, values) =>
+        signer.signTypedData(this.domain, ClaimType, {
+          root: this.root,
+          leaf: claim.leaf,
+          relayer: relayer.address,
+          receiver: other.address,
+          deadline: this.signatureDeadline,
+          nonce: 0,
+          ...values,
+        });
+      await this.contract.activateMerkleRoot(this.root);
+    });
+
+    it('reverts if the signature is expired', async function () {
+      const signature = await this.sign(claimer, {deadline: 0});
+      await expect(this.contract.connect(relayer).claimWithSignature(this.claimData, other.address, 0, signature)).to.be.revertedWithCustomError(
+        this.contract,
+        'ExpiredSignature',
+      );
+    });
+
+    it('reverts if the signature is not from the holder', async function () {
+      const signature = await this.sign(other);
+      await expect(
+        this.contract.connect(relayer).claimWithSignature(this.claimData, other.address, this.signatureDeadline, signature),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidSignature');
+    });
+
+    it('reverts if the sender is not the relayer', async function () {
+      const signature = await this.sign(claimer);
+      await expect(
+        this.contract.connect(other).claimWithSignature(this.claimData, other.address, this.signatureDeadline, signature),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidSignature');
+    });
+
+    it('reverts if the receiver is not the signed one', async function () {
+      const signature = await this.sign(claimer);
+      await expect(
+        this.contract.connect(relayer).claimWithSignature(this.claimData, relayer.address, this.signatureDeadline, signature),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidSignature');
+    });
+
+    it('reverts if the nonce is not the current one', async function () {
+      const signature = await this.sign(claimer, {nonce: 1});
+      await expect(
+        this.contract.connect(relayer).claimWithSignature(this.claimData, other.address, this.signatureDeadline, signature),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidSignature');
+    });
+
+    it('reverts if the payout cannot be claimed', async function () {
+      const signature = await this.sign(claimer);
+      await expect(
+        this.contract
+          .connect(relayer)
+          .claimWithSignature({...this.claimData, proof: [ethers.ZeroHash]}, other.address, this.signatureDeadline, signature),
+      )
+        .to.be.revertedWithCustomError(this.contract, 'InvalidProof')
+        .withArgs(this.root, this.claim.holder, this.claim.amount, this.claim.depositReasonCode, this.claim.deadline, this.claim.distributionId);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        const signature = await this.sign(claimer);
+        this.receipt = await this.contract.connect(relayer).claimWithSignature(this.claimData, other.address, this.signatureDeadline, signature);
+      });
+
+      it('marks the claim as claimed', async function () {
+        expect(await this.contract.claimed(this.claim.leaf)).to.equal(true);
+      });
+
+      it('increments the nonce', async function () {
+        expect(await this.contract.nonces(await this.contract.getNonceKey(claimer.address, relayer.address))).to.equal(1);
+      });
+
+      it('deposits points to the receiver', async function () {
+        expect(await this.points.balances(other.address)).to.equal(this.claim.amount);
+        expect(await this.points.balances(claimer.address)).to.equal(0);
+      });
+
+      it('emits a PayoutClaimed event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'PayoutClaimed')
+          .withArgs(this.root, this.claim.holder, this.claim.depositReasonCode, this.claim.amount, this.claim.deadline, this.claim.distributionId);
+      });
+
+      it('emits a PayoutClaimedWithSignature event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'PayoutClaimedWithSignature')
+          .withArgs(this.root, claimer.address, other.address, relayer.address);
+      });
+    });
+
+    context('when successful with a zero receiver', function () {
+      beforeEach(async function () {
+        const signature = await this.sign(claimer, {receiver: ethers.ZeroAddress});
+        this.receipt = await this.contract.connect(relayer).claimWithSignature(this.claimData, ethers.ZeroAddress, this.signatureDeadline, signature);
+      });
+
+      it('deposits points to the holder', async function () {
+        expect(await this.points.balances(claimer.address)).to.equal(this.claim.amount);
+      });
+
+      it('emits a PayoutClaimedWithSignature event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'PayoutClaimedWithSignature')
+          .withArgs(this.root, claimer.address, claimer.address, relayer.address);
+      });
+    });
+
+    describe('claimIndexedWithSignature', function () {
+      beforeEach(async function () {
+        this.indexedDistribution = buildDistribution(
+          [
+            {holder: other.address, amount: 2},
+            {holder: claimer.address, amount: 1},
+          ],
+          {depositReasonCode: ethers.ZeroHash, deadline: 9999999999, distributionId: ethers.encodeBytes32String('signed')},
+          {indexed: true},
+        );
+        const claim = this.indexedDistribution.claims[1];
+        this.indexedClaim = claim;
+        this.indexedClaimData = {
+          root: this.indexedDistribution.root,
+          index: claim.index,
+          holder: claim.holder,
+          amount: claim.amount,
+          depositReasonCode: claim.depositReasonCode,
+          deadline: claim.deadline,
+          distributionId: claim.distributionId,
+          proof: claim.proof,
+        };
+        await this.contract.activateIndexedMerkleRoot(this.indexedDistribution.root, '', 0, 0, this.indexedDistribution.totalAmount, 0);
+      });
+
+      it('reverts if the signature is for another index', async function () {
+        const signature = await this.sign(claimer, {root: this.indexedDistribution.root, leaf: this.indexedClaim.leaf});
+        await expect(
+          this.contract
+            .connect(relayer)
+            .claimIndexedWithSignature({...this.indexedClaimData, index: 0}, other.address, this.signatureDeadline, signature),
+        ).to.be.revertedWithCustomError(this.contract, 'InvalidSignature');
+      });
+
+      context('when successful', function () {
+        beforeEach(async function () {
+          const signature = await this.sign(claimer, {root: this.indexedDistribution.root, leaf: this.indexedClaim.leaf});
+          this.receipt = await this.contract
+            .connect(relayer)
+            .claimIndexedWithSignature(this.indexedClaimData, other.address, this.signatureDeadline, signature);
+        });
+
+        it('marks the index as claimed', async function () {
+          expect(await this.contract.isClaimed(this.indexedDistribution.root, this.indexedClaim.index)).to.equal(true);
+        });
+
+        it('deposits points to the receiver', async function () {
+          expect(await this.points.balances(other.address)).to.equal(this.indexedClaim.amount);
+        });
+
+        it('emits a PayoutClaimedWithSignature event', async function () {
+          await expect(this.receipt)
+            .to.emit(this.contract, 'PayoutClaimedWithSignature')
+            .withArgs(this.indexedDistribution.root, claimer.address, other.address, relayer.address);
+        });
+      });
+    });
+  });
 });
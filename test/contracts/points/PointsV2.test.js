@@ -1,5 +1,6 @@
-const {ethers} = require('hardhat');
+const {artifacts, ethers} = require('hardhat');
 const {expect} = require('chai');
+const {time} = require('@nomicfoundation/hardhat-network-helpers');
 const {getForwarderRegistryAddress} = require('@animoca/ethereum-contracts/test/helpers/registries');
 const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
 const {deployContract} = require('@animoca/ethereum-contract-helpers/src/test/deploy');
@@ -14,6 +15,35 @@ const ApproveType = {
   ],
 };
 
+const SpendType = {
+  Spend: [
+    {name: 'holder', type: 'address'},
+    {name: 'spender', type: 'address'},
+    {name: 'amount', type: 'uint256'},
+    {name: 'deadline', type: 'uint256'},
+    {name: 'nonce', type: 'uint256'},
+  ],
+};
+
+const SpendAndCallType = {
+  SpendAndCall: [
+    {name: 'holder', type: 'address'},
+    {name: 'amount', type: 'uint256'},
+    {name: 'target', type: 'address'},
+    {name: 'data', type: 'bytes'},
+    {name: 'deadline', type: 'uint256'},
+    {name: 'nonce', type: 'uint256'},
+  ],
+};
+
+const LOT_EXPIRY_GRANULARITY = 86400n;
+const roundUpExpiry = (expiry) => ((expiry + LOT_EXPIRY_GRANULARITY - 1n) / LOT_EXPIRY_GRANULARITY) * LOT_EXPIRY_GRANULARITY;
+const increaseToNextLotExpiry = async () => {
+  const now = roundUpExpiry(BigInt(await time.latest()) + 1n);
+  await time.increaseTo(now);
+  return now;
+};
+
 describe('PointsV2', function () {
   let deployer, other;
 
@@ -73,6 +103,467 @@ describe('PointsV2', function () {
     });
   });
 
+  describe('batchDeposit(address[],uint256[],bytes32)', function () {
+    const depositReason = ethers.encodeBytes32String('PRIZE');
+
+    it('reverts if not called by a depositor', async function () {
+      await expect(this.contract.connect(other).batchDeposit([other.address], [1n], depositReason))
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.DEPOSITOR_ROLE(), other.address);
+    });
+
+    it('reverts if the arrays have different lengths', async function () {
+      await expect(this.contract.batchDeposit([other.address], [1n, 2n], depositReason)).to.be.revertedWithCustomError(
+        this.contract,
+        'InconsistentArrayLengths',
+      );
+    });
+
+    it('reverts if a deposit is made to the zero address', async function () {
+      await expect(this.contract.batchDeposit([other.address, ethers.ZeroAddress], [1n, 2n], depositReason)).to.be.revertedWithCustomError(
+        this.contract,
+        'DepositToAddressZero',
+      );
+    });
+
+    it('reverts if a deposit amount is zero', async function () {
+      await expect(this.contract.batchDeposit([other.address, deployer.address], [1n, 0n], depositReason)).to.be.revertedWithCustomError(
+        this.contract,
+        'DepositZeroAmount',
+      );
+    });
+
+    it('reverts if the contract is paused', async function () {
+      await this.contract.pause();
+      await expect(this.contract.batchDeposit([other.address], [1n], depositReason)).to.be.revertedWithCustomError(this.contract, 'Paused');
+    });
+
+    it('enforces the depositor caps on the total amount', async function () {
+      await this.contract.grantRole(await this.contract.DEPOSITOR_ROLE(), other.address);
+      await this.contract.setDepositorCaps(other.address, 10n, 0n, 0n);
+      await expect(this.contract.connect(other).batchDeposit([other.address, deployer.address], [6n, 5n], depositReason))
+        .to.be.revertedWithCustomError(this.contract, 'DepositorCapExceeded')
+        .withArgs(other.address, 4n, 5n);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.recipients = (await ethers.getSigners()).slice(1, 4).map((signer) => signer.address);
+        this.amounts = [1n, 2n, 3n];
+        this.receipt = await this.contract.batchDeposit(this.recipients, this.amounts, depositReason);
+      });
+
+      it('emits a Deposited event per holder', async function () {
+        for (let i = 0; i < this.recipients.length; ++i) {
+          await expect(this.receipt)
+            .to.emit(this.contract, 'Deposited')
+            .withArgs(deployer.address, depositReason, this.recipients[i], this.amounts[i]);
+        }
+      });
+
+      it('increases the holders balances', async function () {
+        for (let i = 0; i < this.recipients.length; ++i) {
+          expect(await this.contract.balances(this.recipients[i])).to.equal(this.amounts[i]);
+        }
+      });
+    });
+
+    it('applies the expiry duration of the reason code', async function () {
+      await this.contract.setDepositReasonExpiryDuration(depositReason, 100n);
+      const receipt = await this.contract.batchDeposit([other.address], [1n], depositReason);
+      await expect(receipt)
+        .to.emit(this.contract, 'LotDeposited')
+        .withArgs(other.address, roundUpExpiry(BigInt(await time.latest()) + 100n), 1n);
+    });
+  });
+
+  describe('setDepositReasonExpiryDuration(bytes32,uint64)', function () {
+    const reasonCode = ethers.encodeBytes32String('SEASON');
+
+    it('reverts if not called by the contract owner', async function () {
+      await expect(this.contract.connect(other).setDepositReasonExpiryDuration(reasonCode, 100n))
+        .to.be.revertedWithCustomError(this.contract, 'NotContractOwner')
+        .withArgs(other.address);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.contract.setDepositReasonExpiryDuration(reasonCode, 100n);
+      });
+
+      it('emits a DepositReasonExpiryDurationSet event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'DepositReasonExpiryDurationSet').withArgs(reasonCode, 100n);
+      });
+
+      it('sets the expiry duration', async function () {
+        expect(await this.contract.depositReasonExpiryDurations(reasonCode)).to.equal(100n);
+      });
+    });
+  });
+
+  describe('depositWithExpiry(address,uint256,bytes32,uint64)', function () {
+    const depositReason = ethers.ZeroHash;
+    const depositAmount = 123n;
+
+    it('reverts if not called by a depositor', async function () {
+      await expect(this.contract.connect(other).depositWithExpiry(other.address, depositAmount, depositReason, 0n))
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.DEPOSITOR_ROLE(), other.address);
+    });
+
+    it('reverts if the expiry has already passed', async function () {
+      const expiry = BigInt(await time.latest());
+      await expect(this.contract.depositWithExpiry(other.address, depositAmount, depositReason, expiry))
+        .to.be.revertedWithCustomError(this.contract, 'InvalidExpiry')
+        .withArgs(expiry);
+    });
+
+    it('reverts if the deposit is made to the zero address', async function () {
+      await expect(this.contract.depositWithExpiry(ethers.ZeroAddress, depositAmount, depositReason, 0n)).to.be.revertedWithCustomError(
+        this.contract,
+        'DepositToAddressZero',
+      );
+    });
+
+    it('reverts if the deposit amount is zero', async function () {
+      await expect(this.contract.depositWithExpiry(other.address, 0n, depositReason, 0n)).to.be.revertedWithCustomError(
+        this.contract,
+        'DepositZeroAmount',
+      );
+    });
+
+    context('when successful (without expiry)', function () {
+      beforeEach(async function () {
+        await this.contract.setDepositReasonExpiryDuration(depositReason, 100n);
+        this.receipt = await this.contract.depositWithExpiry(other.address, depositAmount, depositReason, 0n);
+      });
+
+      it('emits a Deposited event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'Deposited').withArgs(deployer.address, depositReason, other.address, depositAmount);
+      });
+
+      it('does not emit a LotDeposited event', async function () {
+        await expect(this.receipt).to.not.emit(this.contract, 'LotDeposited');
+      });
+
+      it('increases the non-expiring balance', async function () {
+        expect(await this.contract.nonExpiringBalances(other.address)).to.equal(depositAmount);
+        expect(await this.contract.balances(other.address)).to.equal(depositAmount);
+        expect(await this.contract.getLots(other.address)).to.deep.equal([]);
+      });
+    });
+
+    context('when successful (with expiry)', function () {
+      beforeEach(async function () {
+        const expiry = BigInt(await time.latest()) + 1000n;
+        this.expiry = roundUpExpiry(expiry);
+        this.receipt = await this.contract.depositWithExpiry(other.address, depositAmount, depositReason, expiry);
+      });
+
+      it('emits a Deposited event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'Deposited').withArgs(deployer.address, depositReason, other.address, depositAmount);
+      });
+
+      it('emits a LotDeposited event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'LotDeposited').withArgs(other.address, this.expiry, depositAmount);
+      });
+
+      it('adds a lot', async function () {
+        expect(await this.contract.nonExpiringBalances(other.address)).to.equal(0n);
+        expect(await this.contract.balances(other.address)).to.equal(depositAmount);
+        expect(await this.contract.getLots(other.address)).to.deep.equal([[this.expiry, depositAmount]]);
+      });
+
+      it('rounds the expiry up to a multiple of the lot expiry granularity', async function () {
+        expect(this.expiry % LOT_EXPIRY_GRANULARITY).to.equal(0n);
+      });
+
+      it('excludes the lot from the balance once expired', async function () {
+        await time.increaseTo(this.expiry);
+        expect(await this.contract.balances(other.address)).to.equal(0n);
+        expect(await this.contract.getLots(other.address)).to.deep.equal([]);
+      });
+    });
+  });
+
+  context('expiring lots', function () {
+    const reasonCode = ethers.encodeBytes32String('SEASON');
+
+    beforeEach(async function () {
+      this.now = await increaseToNextLotExpiry();
+      await this.contract.deposit(other.address, 100n, ethers.ZeroHash);
+      await this.contract.depositWithExpiry(other.address, 50n, ethers.ZeroHash, this.now + 4n * LOT_EXPIRY_GRANULARITY);
+      await this.contract.depositWithExpiry(other.address, 30n, ethers.ZeroHash, this.now + 2n * LOT_EXPIRY_GRANULARITY);
+    });
+
+    it('expires the deposits made for a reason code with an expiry duration', async function () {
+      await this.contract.setDepositReasonExpiryDuration(reasonCode, 500n);
+      const receipt = await this.contract.deposit(other.address, 10n, reasonCode);
+      const expiry = roundUpExpiry(BigInt(await time.latest()) + 500n);
+      await expect(receipt).to.emit(this.contract, 'LotDeposited').withArgs(other.address, expiry, 10n);
+      expect(await this.contract.getLots(other.address)).to.deep.include([expiry, 10n]);
+      await time.increaseTo(expiry);
+      expect(await this.contract.balances(other.address)).to.equal(180n);
+    });
+
+    it('merges the deposits made for a reason code with an expiry duration on a same day', async function () {
+      await this.contract.setDepositReasonExpiryDuration(reasonCode, 500n);
+      const dayStart = this.now + 4n * LOT_EXPIRY_GRANULARITY;
+      await time.increaseTo(dayStart + 1n);
+      await this.contract.deposit(other.address, 10n, reasonCode);
+      await time.increaseTo(dayStart + LOT_EXPIRY_GRANULARITY - 600n);
+      await this.contract.deposit(other.address, 20n, reasonCode);
+      expect(await this.contract.getLots(other.address)).to.deep.include([dayStart + LOT_EXPIRY_GRANULARITY, 30n]);
+    });
+
+    it('prunes the expired lots when adding a lot', async function () {
+      await time.increaseTo(this.now + 3n * LOT_EXPIRY_GRANULARITY);
+      await this.contract.depositWithExpiry(other.address, 5n, ethers.ZeroHash, this.now + 6n * LOT_EXPIRY_GRANULARITY);
+      expect(await this.contract.getLots(other.address)).to.deep.equal([
+        [this.now + 4n * LOT_EXPIRY_GRANULARITY, 50n],
+        [this.now + 6n * LOT_EXPIRY_GRANULARITY, 5n],
+      ]);
+      expect(await this.contract.balances(other.address)).to.equal(155n);
+      await time.increaseTo(this.now + 4n * LOT_EXPIRY_GRANULARITY);
+      expect(await this.contract.balances(other.address)).to.equal(105n);
+    });
+
+    it('keeps the lots sorted by expiry and merges the lots of same expiry', async function () {
+      await this.contract.depositWithExpiry(other.address, 5n, ethers.ZeroHash, this.now + 2n * LOT_EXPIRY_GRANULARITY);
+      await this.contract.depositWithExpiry(other.address, 7n, ethers.ZeroHash, this.now + 6n * LOT_EXPIRY_GRANULARITY);
+      expect(await this.contract.getLots(other.address)).to.deep.equal([
+        [this.now + 2n * LOT_EXPIRY_GRANULARITY, 35n],
+        [this.now + 4n * LOT_EXPIRY_GRANULARITY, 50n],
+        [this.now + 6n * LOT_EXPIRY_GRANULARITY, 7n],
+      ]);
+      expect(await this.contract.balances(other.address)).to.equal(192n);
+    });
+
+    it('consumes the soonest-expiring lots first when spending', async function () {
+      const receipt = await this.contract.connect(other).spendFrom(other.address, 60n);
+      await expect(receipt)
+        .to.emit(this.contract, 'LotConsumed')
+        .withArgs(other.address, this.now + 2n * LOT_EXPIRY_GRANULARITY, 30n)
+        .and.to.emit(this.contract, 'LotConsumed')
+        .withArgs(other.address, this.now + 4n * LOT_EXPIRY_GRANULARITY, 30n);
+      expect(await this.contract.getLots(other.address)).to.deep.equal([[this.now + 4n * LOT_EXPIRY_GRANULARITY, 20n]]);
+      expect(await this.contract.nonExpiringBalances(other.address)).to.equal(100n);
+      expect(await this.contract.balances(other.address)).to.equal(120n);
+    });
+
+    it('consumes the non-expiring balance once the lots are consumed', async function () {
+      await this.contract.connect(other).spendFrom(other.address, 90n);
+      expect(await this.contract.getLots(other.address)).to.deep.equal([]);
+      expect(await this.contract.nonExpiringBalances(other.address)).to.equal(90n);
+      expect(await this.contract.balances(other.address)).to.equal(90n);
+    });
+
+    it('does not consume the expired lots', async function () {
+      await time.increaseTo(this.now + 2n * LOT_EXPIRY_GRANULARITY);
+      expect(await this.contract.balances(other.address)).to.equal(150n);
+      await expect(this.contract.connect(other).spendFrom(other.address, 151n))
+        .to.be.revertedWithCustomError(this.contract, 'InsufficientBalance')
+        .withArgs(other.address, 150n, 151n);
+      await expect(this.contract.connect(other).spendFrom(other.address, 50n))
+        .to.emit(this.contract, 'LotConsumed')
+        .withArgs(other.address, this.now + 4n * LOT_EXPIRY_GRANULARITY, 50n);
+      expect(await this.contract.getLots(other.address)).to.deep.equal([]);
+      expect(await this.contract.balances(other.address)).to.equal(100n);
+    });
+
+    it('inserts a lot expiring sooner than the remaining lots after consumption', async function () {
+      await this.contract.connect(other).spendFrom(other.address, 40n);
+      await this.contract.depositWithExpiry(other.address, 1n, ethers.ZeroHash, this.now + 1n * LOT_EXPIRY_GRANULARITY);
+      expect(await this.contract.getLots(other.address)).to.deep.equal([
+        [this.now + 1n * LOT_EXPIRY_GRANULARITY, 1n],
+        [this.now + 4n * LOT_EXPIRY_GRANULARITY, 40n],
+      ]);
+    });
+
+    it('reverts if a deposit credits a lot of a new expiry to a holder holding the maximum number of lots', async function () {
+      const maxLots = await this.contract.MAX_DEPOSIT_HOLDER_LOTS();
+      for (let i = 3n; i <= maxLots; ++i) {
+        await this.contract.depositWithExpiry(other.address, 1n, ethers.ZeroHash, this.now + (i + 2n) * LOT_EXPIRY_GRANULARITY);
+      }
+      await expect(this.contract.depositWithExpiry(other.address, 1n, ethers.ZeroHash, this.now + LOT_EXPIRY_GRANULARITY))
+        .to.be.revertedWithCustomError(this.contract, 'TooManyLots')
+        .withArgs(other.address, maxLots);
+      await this.contract.depositWithExpiry(other.address, 1n, ethers.ZeroHash, this.now + 2n * LOT_EXPIRY_GRANULARITY);
+      expect((await this.contract.getLots(other.address))[0]).to.deep.equal([this.now + 2n * LOT_EXPIRY_GRANULARITY, 31n]);
+    });
+
+    it('consumes the soonest-expiring lots first when debiting', async function () {
+      await this.contract.grantRole(await this.contract.DEBITOR_ROLE(), deployer.address);
+      await expect(this.contract.debit(other.address, 10n, reasonCode))
+        .to.emit(this.contract, 'LotConsumed')
+        .withArgs(other.address, this.now + 2n * LOT_EXPIRY_GRANULARITY, 10n);
+      expect(await this.contract.getLots(other.address)).to.deep.equal([
+        [this.now + 2n * LOT_EXPIRY_GRANULARITY, 20n],
+        [this.now + 4n * LOT_EXPIRY_GRANULARITY, 50n],
+      ]);
+    });
+  });
+
+  describe('setDepositorCaps(address,uint256,uint256,uint64)', function () {
+    it('reverts if not called by the contract owner', async function () {
+      await expect(this.contract.connect(other).setDepositorCaps(other.address, 100n, 10n, 1000n))
+        .to.be.revertedWithCustomError(this.contract, 'NotContractOwner')
+        .withArgs(other.address);
+    });
+
+    it('reverts if a period cap is set with a zero period', async function () {
+      await expect(this.contract.setDepositorCaps(other.address, 100n, 10n, 0n))
+        .to.be.revertedWithCustomError(this.contract, 'InvalidDepositorCapPeriod')
+        .withArgs(other.address);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.contract.setDepositorCaps(other.address, 100n, 10n, 1000n);
+      });
+
+      it('emits a DepositorCapsSet event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'DepositorCapsSet').withArgs(other.address, 100n, 10n, 1000n);
+      });
+
+      it('sets the depositor caps', async function () {
+        expect(await this.contract.depositorCaps(other.address)).to.deep.equal([100n, 10n, 1000n]);
+      });
+    });
+  });
+
+  context('depositor caps', function () {
+    const depositReason = ethers.ZeroHash;
+
+    beforeEach(async function () {
+      await this.contract.grantRole(await this.contract.DEPOSITOR_ROLE(), other.address);
+    });
+
+    it('does not limit a depositor without caps', async function () {
+      expect(await this.contract.getDepositorCapUsage(deployer.address)).to.deep.equal([0n, 0n, ethers.MaxUint256]);
+    });
+
+    it('enforces the total cap', async function () {
+      await this.contract.setDepositorCaps(other.address, 100n, 0n, 0n);
+      await this.contract.connect(other).deposit(other.address, 60n, depositReason);
+      await expect(this.contract.connect(other).deposit(other.address, 41n, depositReason))
+        .to.be.revertedWithCustomError(this.contract, 'DepositorCapExceeded')
+        .withArgs(other.address, 40n, 41n);
+      await this.contract.connect(other).deposit(other.address, 40n, depositReason);
+      expect(await this.contract.getDepositorCapUsage(other.address)).to.deep.equal([100n, 0n, 0n]);
+    });
+
+    it('enforces the period cap', async function () {
+      await this.contract.setDepositorCaps(other.address, 0n, 50n, 1000n);
+      await this.contract.connect(other).deposit(other.address, 30n, depositReason);
+      expect(await this.contract.getDepositorCapUsage(other.address)).to.deep.equal([30n, 30n, 20n]);
+      await expect(this.contract.connect(other).deposit(other.address, 21n, depositReason))
+        .to.be.revertedWithCustomError(this.contract, 'DepositorCapExceeded')
+        .withArgs(other.address, 20n, 21n);
+      await time.increase(1100n);
+      expect(await this.contract.getDepositorCapUsage(other.address)).to.deep.equal([30n, 0n, 50n]);
+      await this.contract.connect(other).deposit(other.address, 50n, depositReason);
+      expect(await this.contract.getDepositorCapUsage(other.address)).to.deep.equal([80n, 50n, 0n]);
+    });
+
+    it('enforces the period cap over a rolling period', async function () {
+      await this.contract.setDepositorCaps(other.address, 0n, 50n, 1000n);
+      const start = ((BigInt(await time.latest()) + 100n) / 100n + 1n) * 100n;
+      await time.setNextBlockTimestamp(start);
+      await this.contract.connect(other).deposit(other.address, 1n, depositReason);
+      await time.setNextBlockTimestamp(start + 999n);
+      await this.contract.connect(other).deposit(other.address, 49n, depositReason);
+      await time.setNextBlockTimestamp(start + 1000n);
+      await expect(this.contract.connect(other).deposit(other.address, 50n, depositReason))
+        .to.be.revertedWithCustomError(this.contract, 'DepositorCapExceeded')
+        .withArgs(other.address, 0n, 50n);
+      await time.increaseTo(start + 1100n);
+      expect(await this.contract.getDepositorCapUsage(other.address)).to.deep.equal([50n, 49n, 1n]);
+      await time.increaseTo(start + 1999n);
+      expect(await this.contract.getDepositorCapUsage(other.address)).to.deep.equal([50n, 49n, 1n]);
+      await time.increaseTo(start + 2000n);
+      expect(await this.contract.getDepositorCapUsage(other.address)).to.deep.equal([50n, 0n, 50n]);
+      await this.contract.connect(other).deposit(other.address, 50n, depositReason);
+    });
+
+    it('keeps counting the amount deposited during the rolling period when the period changes', async function () {
+      await this.contract.setDepositorCaps(other.address, 0n, 50n, 1000n);
+      await this.contract.connect(other).deposit(other.address, 30n, depositReason);
+      await this.contract.setDepositorCaps(other.address, 0n, 50n, 2000n);
+      expect(await this.contract.getDepositorCapUsage(other.address)).to.deep.equal([30n, 30n, 20n]);
+      await time.increase(1100n);
+      expect(await this.contract.getDepositorCapUsage(other.address)).to.deep.equal([30n, 30n, 20n]);
+      await time.increase(1100n);
+      expect(await this.contract.getDepositorCapUsage(other.address)).to.deep.equal([30n, 0n, 50n]);
+    });
+
+    it('enforces the lowest remaining cap', async function () {
+      await this.contract.setDepositorCaps(other.address, 70n, 50n, 1000n);
+      await this.contract.connect(other).deposit(other.address, 50n, depositReason);
+      await time.increase(1100n);
+      await expect(this.contract.connect(other).deposit(other.address, 21n, depositReason))
+        .to.be.revertedWithCustomError(this.contract, 'DepositorCapExceeded')
+        .withArgs(other.address, 20n, 21n);
+    });
+
+    it('enforces the caps on deposits with expiry', async function () {
+      await this.contract.setDepositorCaps(other.address, 10n, 0n, 0n);
+      await expect(this.contract.connect(other).depositWithExpiry(other.address, 11n, depositReason, 0n))
+        .to.be.revertedWithCustomError(this.contract, 'DepositorCapExceeded')
+        .withArgs(other.address, 10n, 11n);
+    });
+
+    it('does not count the deposits made while the depositor has no caps', async function () {
+      await this.contract.connect(other).deposit(other.address, 30n, depositReason);
+      await this.contract.setDepositorCaps(other.address, 100n, 0n, 0n);
+      expect(await this.contract.getDepositorCapUsage(other.address)).to.deep.equal([0n, 0n, 100n]);
+    });
+  });
+
+  describe('debit(address,uint256,bytes32)', function () {
+    const debitReason = ethers.encodeBytes32String('CORRECTION');
+
+    beforeEach(async function () {
+      await this.contract.grantRole(await this.contract.DEBITOR_ROLE(), deployer.address);
+    });
+
+    it('reverts if not called by a debitor', async function () {
+      await expect(this.contract.connect(other).debit(deployer.address, 1n, debitReason))
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.DEBITOR_ROLE(), other.address);
+    });
+
+    it('reverts if the debit amount is zero', async function () {
+      await expect(this.contract.debit(deployer.address, 0, debitReason)).to.be.revertedWithCustomError(this.contract, 'DebitZeroAmount');
+    });
+
+    it('reverts if the holder does not have enough balance', async function () {
+      await expect(this.contract.debit(other.address, 1n, debitReason))
+        .to.be.revertedWithCustomError(this.contract, 'InsufficientBalance')
+        .withArgs(other.address, 0n, 1n);
+    });
+
+    context('when successful', function () {
+      const debitAmount = 123n;
+
+      beforeEach(async function () {
+        this.receipt = await this.contract.debit(deployer.address, debitAmount, debitReason);
+      });
+
+      it('emits a Debited event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'Debited').withArgs(deployer.address, debitReason, deployer.address, debitAmount);
+      });
+
+      it('does not emit a Spent event', async function () {
+        await expect(this.receipt).to.not.emit(this.contract, 'Spent');
+      });
+
+      it('decreases the holder balance', async function () {
+        expect(await this.contract.balances(deployer.address)).to.equal(ethers.MaxUint256 - debitAmount);
+      });
+    });
+  });
+
   describe('approve(address,uint256)', function () {
     const approveAmount = 123n;
 
@@ -97,6 +588,66 @@ describe('PointsV2', function () {
     });
   });
 
+  describe('approveUntil(address,uint256,uint64)', function () {
+    const approveAmount = 123n;
+
+    it('reverts if the expiry has already passed', async function () {
+      const validUntil = BigInt(await time.latest());
+      await expect(this.contract.approveUntil(other.address, approveAmount, validUntil))
+        .to.be.revertedWithCustomError(this.contract, 'InvalidExpiry')
+        .withArgs(validUntil);
+    });
+
+    it('reverts if the spender is the zero address', async function () {
+      await expect(this.contract.approveUntil(ethers.ZeroAddress, approveAmount, ethers.MaxUint256 >> 192n))
+        .to.be.revertedWithCustomError(this.contract, 'ApprovalToAddressZero')
+        .withArgs(deployer.address);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.validUntil = BigInt(await time.latest()) + 600n;
+        this.receipt = await this.contract.approveUntil(other.address, approveAmount, this.validUntil);
+      });
+
+      it('emits an Approval event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'Approval').withArgs(deployer.address, other.address, approveAmount);
+      });
+
+      it('emits an ApprovalExpirySet event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'ApprovalExpirySet').withArgs(deployer.address, other.address, this.validUntil);
+      });
+
+      it('sets the allowance and its expiry', async function () {
+        expect(await this.contract.allowances(deployer.address, other.address)).to.equal(approveAmount);
+        expect(await this.contract.allowanceExpiries(deployer.address, other.address)).to.equal(this.validUntil);
+        expect(await this.contract.allowance(deployer.address, other.address)).to.equal(approveAmount);
+      });
+
+      it('allows the spender to spend before the expiry', async function () {
+        await expect(this.contract.connect(other).spendFrom(deployer.address, 100n))
+          .to.emit(this.contract, 'Approval')
+          .withArgs(deployer.address, other.address, approveAmount - 100n);
+        expect(await this.contract.allowance(deployer.address, other.address)).to.equal(approveAmount - 100n);
+      });
+
+      it('treats the allowance as zero once expired', async function () {
+        await time.increaseTo(this.validUntil);
+        expect(await this.contract.allowance(deployer.address, other.address)).to.equal(0n);
+        await expect(this.contract.connect(other).spendFrom(deployer.address, 1n))
+          .to.be.revertedWithCustomError(this.contract, 'InsufficientAllowance')
+          .withArgs(deployer.address, other.address, 0n, 1n);
+      });
+
+      it('clears the expiry on a new approval', async function () {
+        await this.contract.approve(other.address, approveAmount);
+        await time.increaseTo(this.validUntil);
+        expect(await this.contract.allowanceExpiries(deployer.address, other.address)).to.equal(0n);
+        expect(await this.contract.allowance(deployer.address, other.address)).to.equal(approveAmount);
+      });
+    });
+  });
+
   describe('approveWithSignature(address,uint256,uint256,uint8,bytes32,bytes32)', function () {
     const amount = 123n;
 
@@ -177,36 +728,157 @@ describe('PointsV2', function () {
       it('increments the nonce', async function () {
         expect(await this.contract.nonces(await this.contract.getNonceKey(this.holder, this.spender))).to.equal(this.nonce + 1n);
       });
-    });
-  });
-
-  describe('spendFrom(address,uint256)', function () {
-    const spendAmount = 123n;
 
-    it('reverts if the holder does not have enough balance', async function () {
-      await this.contract.connect(other).approve(deployer.address, spendAmount);
-      await expect(this.contract.spendFrom(other.address, spendAmount))
-        .to.be.revertedWithCustomError(this.contract, 'InsufficientBalance')
-        .withArgs(other.address, 0n, spendAmount);
+      it('emits a NonceUsed event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'NonceUsed').withArgs(this.holder, this.spender, this.nonce);
+      });
     });
+  });
 
-    it('reverts if the allowance is insufficient', async function () {
-      await expect(this.contract.connect(other).spendFrom(deployer.address, spendAmount))
-        .to.be.revertedWithCustomError(this.contract, 'InsufficientAllowance')
-        .withArgs(deployer.address, other.address, 0n, spendAmount);
+  describe('invalidateNonce(address,uint256)', function () {
+    it('reverts if the new nonce is not greater than the current nonce', async function () {
+      await this.contract.invalidateNonce(other.address, 5n);
+      await expect(this.contract.invalidateNonce(other.address, 5n))
+        .to.be.revertedWithCustomError(this.contract, 'InvalidNonce')
+        .withArgs(deployer.address, other.address, 5n, 5n);
     });
 
-    context('when successful (spending from one-self)', function () {
+    context('when successful', function () {
       beforeEach(async function () {
-        this.receipt = await this.contract.spendFrom(deployer.address, spendAmount);
+        this.nonceKey = await this.contract.getNonceKey(deployer.address, other.address);
+        this.signature = await deployer.signTypedData(this.domain, ApproveType, {
+          holder: deployer.address,
+          spender: other.address,
+          amount: 1n,
+          deadline: ethers.MaxUint256,
+          nonce: 3n,
+        });
+        this.receipt = await this.contract.invalidateNonce(other.address, 5n);
       });
 
-      it('does not emit an Approval event', async function () {
-        await expect(this.receipt).to.not.emit(this.contract, 'Approval');
+      it('emits a NonceInvalidated event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'NonceInvalidated').withArgs(deployer.address, other.address, 5n);
       });
 
-      it('emits a Spent event', async function () {
-        await expect(this.receipt).to.emit(this.contract, 'Spent').withArgs(deployer.address, deployer.address, spendAmount);
+      it('sets the nonce', async function () {
+        expect(await this.contract.nonces(this.nonceKey)).to.equal(5n);
+      });
+
+      it('invalidates the signatures with a lower nonce', async function () {
+        await expect(
+          this.contract.approveWithSignature(deployer.address, other.address, 1n, ethers.MaxUint256, this.signature),
+        ).to.be.revertedWithCustomError(this.contract, 'InvalidSignature');
+      });
+    });
+  });
+
+  describe('cancelSignature(address)', function () {
+    beforeEach(async function () {
+      this.signature = await deployer.signTypedData(this.domain, ApproveType, {
+        holder: deployer.address,
+        spender: other.address,
+        amount: 1n,
+        deadline: ethers.MaxUint256,
+        nonce: 0n,
+      });
+      this.receipt = await this.contract.cancelSignature(other.address);
+    });
+
+    it('emits a NonceUsed event', async function () {
+      await expect(this.receipt).to.emit(this.contract, 'NonceUsed').withArgs(deployer.address, other.address, 0n);
+    });
+
+    it('increments the nonce', async function () {
+      expect(await this.contract.nonces(await this.contract.getNonceKey(deployer.address, other.address))).to.equal(1n);
+    });
+
+    it('invalidates the outstanding signature', async function () {
+      await expect(
+        this.contract.approveWithSignature(deployer.address, other.address, 1n, ethers.MaxUint256, this.signature),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidSignature');
+    });
+  });
+
+  context('with an ERC-1271 wallet holder', function () {
+    const amount = 123n;
+
+    beforeEach(async function () {
+      this.wallet = await deployContract('ERC1271WalletMock', deployer.address);
+      this.holder = await this.wallet.getAddress();
+      await this.contract.deposit(this.holder, 1000n, ethers.ZeroHash);
+      this.approval = {holder: this.holder, spender: other.address, amount, deadline: ethers.MaxUint256, nonce: 0n};
+    });
+
+    it('accepts an approval signed by the wallet owner', async function () {
+      const signature = await deployer.signTypedData(this.domain, ApproveType, this.approval);
+      await expect(this.contract.approveWithSignature(this.holder, other.address, amount, ethers.MaxUint256, signature))
+        .to.emit(this.contract, 'Approval')
+        .withArgs(this.holder, other.address, amount);
+    });
+
+    it('accepts a spend signed by the wallet owner', async function () {
+      const signature = await deployer.signTypedData(this.domain, SpendType, this.approval);
+      await expect(this.contract.connect(other).spendWithSignature(this.holder, other.address, amount, ethers.MaxUint256, signature))
+        .to.emit(this.contract, 'Spent')
+        .withArgs(other.address, this.holder, amount);
+      expect(await this.contract.balances(this.holder)).to.equal(1000n - amount);
+    });
+
+    it('rejects a signature not made by the wallet owner', async function () {
+      const signature = await other.signTypedData(this.domain, ApproveType, this.approval);
+      await expect(
+        this.contract.approveWithSignature(this.holder, other.address, amount, ethers.MaxUint256, signature),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidSignature');
+    });
+
+    it('rejects a signature cancelled by the wallet', async function () {
+      const signature = await deployer.signTypedData(this.domain, ApproveType, this.approval);
+      await expect(
+        this.wallet.execute(await this.contract.getAddress(), this.contract.interface.encodeFunctionData('cancelSignature', [other.address])),
+      )
+        .to.emit(this.contract, 'NonceUsed')
+        .withArgs(this.holder, other.address, 0n);
+      await expect(
+        this.contract.approveWithSignature(this.holder, other.address, amount, ethers.MaxUint256, signature),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidSignature');
+    });
+
+    it('rejects a signature invalidated by the wallet', async function () {
+      const signature = await deployer.signTypedData(this.domain, ApproveType, {...this.approval, nonce: 1n});
+      await this.wallet.execute(await this.contract.getAddress(), this.contract.interface.encodeFunctionData('invalidateNonce', [other.address, 2n]));
+      await expect(
+        this.contract.approveWithSignature(this.holder, other.address, amount, ethers.MaxUint256, signature),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidSignature');
+    });
+  });
+
+  describe('spendFrom(address,uint256)', function () {
+    const spendAmount = 123n;
+
+    it('reverts if the holder does not have enough balance', async function () {
+      await this.contract.connect(other).approve(deployer.address, spendAmount);
+      await expect(this.contract.spendFrom(other.address, spendAmount))
+        .to.be.revertedWithCustomError(this.contract, 'InsufficientBalance')
+        .withArgs(other.address, 0n, spendAmount);
+    });
+
+    it('reverts if the allowance is insufficient', async function () {
+      await expect(this.contract.connect(other).spendFrom(deployer.address, spendAmount))
+        .to.be.revertedWithCustomError(this.contract, 'InsufficientAllowance')
+        .withArgs(deployer.address, other.address, 0n, spendAmount);
+    });
+
+    context('when successful (spending from one-self)', function () {
+      beforeEach(async function () {
+        this.receipt = await this.contract.spendFrom(deployer.address, spendAmount);
+      });
+
+      it('does not emit an Approval event', async function () {
+        await expect(this.receipt).to.not.emit(this.contract, 'Approval');
+      });
+
+      it('emits a Spent event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'Spent').withArgs(deployer.address, deployer.address, spendAmount);
       });
 
       it('decreases the holder balance', async function () {
@@ -242,6 +914,230 @@ describe('PointsV2', function () {
     });
   });
 
+  describe('spendFrom(address,uint256,bytes32)', function () {
+    const spendAmount = 123n;
+    const spendReason = ethers.encodeBytes32String('PURCHASE');
+
+    it('reverts if the holder does not have enough balance', async function () {
+      await this.contract.connect(other).approve(deployer.address, spendAmount);
+      await expect(this.contract['spendFrom(address,uint256,bytes32)'](other.address, spendAmount, spendReason))
+        .to.be.revertedWithCustomError(this.contract, 'InsufficientBalance')
+        .withArgs(other.address, 0n, spendAmount);
+    });
+
+    it('reverts if the allowance is insufficient', async function () {
+      await expect(this.contract.connect(other)['spendFrom(address,uint256,bytes32)'](deployer.address, spendAmount, spendReason))
+        .to.be.revertedWithCustomError(this.contract, 'InsufficientAllowance')
+        .withArgs(deployer.address, other.address, 0n, spendAmount);
+    });
+
+    context('when successful', function () {
+      const allowanceAmount = 456n;
+
+      beforeEach(async function () {
+        await this.contract.approve(other.address, allowanceAmount);
+        this.receipt = await this.contract.connect(other)['spendFrom(address,uint256,bytes32)'](deployer.address, spendAmount, spendReason);
+      });
+
+      it('emits an Approval event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'Approval')
+          .withArgs(deployer.address, other.address, allowanceAmount - spendAmount);
+      });
+
+      it('emits a Spent event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'Spent').withArgs(other.address, deployer.address, spendAmount);
+      });
+
+      it('emits a SpentWithReason event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'SpentWithReason').withArgs(other.address, spendReason, deployer.address, spendAmount);
+      });
+
+      it('decreases the holder balance', async function () {
+        expect(await this.contract.balances(deployer.address)).to.equal(ethers.MaxUint256 - spendAmount);
+      });
+    });
+  });
+
+  describe('spendAndCall(uint256,address,bytes,bytes32)', function () {
+    const spendAmount = 123n;
+    const spendReason = ethers.encodeBytes32String('SCRATCH');
+
+    it('reverts if the holder does not have enough balance', async function () {
+      await expect(this.contract.connect(other)['spendAndCall(uint256,address,bytes,bytes32)'](spendAmount, other.address, '0x', spendReason))
+        .to.be.revertedWithCustomError(this.contract, 'InsufficientBalance')
+        .withArgs(other.address, 0n, spendAmount);
+    });
+
+    it('reverts if the callback target returns an invalid response', async function () {
+      const receiverContract = await deployContract('PointsV2WrongSpendingCallbackMock', await this.contract.getAddress());
+      await expect(this.contract['spendAndCall(uint256,address,bytes,bytes32)'](spendAmount, await receiverContract.getAddress(), '0x', spendReason))
+        .to.be.revertedWithCustomError(this.contract, 'CallbackRejected')
+        .withArgs(deployer.address, spendAmount, await receiverContract.getAddress(), '0x');
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receiverContract = await deployContract('PointsV2SpendingCallbackMock', await this.contract.getAddress());
+        this.receipt = await this.contract['spendAndCall(uint256,address,bytes,bytes32)'](
+          spendAmount,
+          await this.receiverContract.getAddress(),
+          '0x1234',
+          spendReason,
+        );
+      });
+
+      it('emits a Spent event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'Spent').withArgs(deployer.address, deployer.address, spendAmount);
+      });
+
+      it('emits a SpentWithReason event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'SpentWithReason').withArgs(deployer.address, spendReason, deployer.address, spendAmount);
+      });
+
+      it('decreases the holder balance', async function () {
+        expect(await this.contract.balances(deployer.address)).to.equal(ethers.MaxUint256 - spendAmount);
+      });
+
+      it('calls the callback', async function () {
+        await expect(this.receipt).to.emit(this.receiverContract, 'PointsSpent').withArgs(deployer.address, spendAmount, '0x1234');
+      });
+    });
+  });
+
+  describe('spendWithSignature(address,address,uint256,uint256,bytes)', function () {
+    const amount = 123n;
+
+    it('reverts if the sender is not the spender', async function () {
+      const deadline = ethers.MaxUint256;
+      const holder = deployer.address;
+      const spender = other.address;
+      const signature = await deployer.signTypedData(this.domain, SpendType, {
+        holder,
+        spender,
+        amount,
+        deadline,
+        nonce: await this.contract.nonces(await this.contract.getNonceKey(holder, spender)),
+      });
+      await expect(this.contract.spendWithSignature(holder, spender, amount, deadline, signature))
+        .to.be.revertedWithCustomError(this.contract, 'SenderIsNotSpender')
+        .withArgs(deployer.address, spender);
+    });
+
+    it('reverts if the signature is invalid', async function () {
+      const deadline = ethers.MaxUint256;
+      const holder = deployer.address;
+      const spender = other.address;
+      const signature = await deployer.signTypedData(this.domain, SpendType, {
+        holder,
+        spender,
+        amount,
+        deadline,
+        nonce: (await this.contract.nonces(await this.contract.getNonceKey(holder, spender))) + 1n, // wrong nonce
+      });
+      await expect(this.contract.connect(other).spendWithSignature(holder, spender, amount, deadline, signature)).to.be.revertedWithCustomError(
+        this.contract,
+        'InvalidSignature',
+      );
+    });
+
+    it('reverts if the signature is an approval signature', async function () {
+      const deadline = ethers.MaxUint256;
+      const holder = deployer.address;
+      const spender = other.address;
+      const signature = await deployer.signTypedData(this.domain, ApproveType, {
+        holder,
+        spender,
+        amount,
+        deadline,
+        nonce: await this.contract.nonces(await this.contract.getNonceKey(holder, spender)),
+      });
+      await expect(this.contract.connect(other).spendWithSignature(holder, spender, amount, deadline, signature)).to.be.revertedWithCustomError(
+        this.contract,
+        'InvalidSignature',
+      );
+    });
+
+    it('reverts if the signature is expired', async function () {
+      const deadline = 0n;
+      const holder = deployer.address;
+      const spender = other.address;
+      const signature = await deployer.signTypedData(this.domain, SpendType, {
+        holder,
+        spender,
+        amount,
+        deadline,
+        nonce: await this.contract.nonces(await this.contract.getNonceKey(holder, spender)),
+      });
+      await expect(this.contract.connect(other).spendWithSignature(holder, spender, amount, deadline, signature)).to.be.revertedWithCustomError(
+        this.contract,
+        'ExpiredSignature',
+      );
+    });
+
+    it('reverts if the holder does not have enough balance', async function () {
+      const deadline = ethers.MaxUint256;
+      const holder = other.address;
+      const spender = deployer.address;
+      const signature = await other.signTypedData(this.domain, SpendType, {
+        holder,
+        spender,
+        amount,
+        deadline,
+        nonce: await this.contract.nonces(await this.contract.getNonceKey(holder, spender)),
+      });
+      await expect(this.contract.spendWithSignature(holder, spender, amount, deadline, signature))
+        .to.be.revertedWithCustomError(this.contract, 'InsufficientBalance')
+        .withArgs(holder, 0n, amount);
+    });
+
+    context('when successful', function () {
+      const allowanceAmount = 456n;
+
+      beforeEach(async function () {
+        this.holder = deployer.address;
+        this.spender = other.address;
+        await this.contract.approve(this.spender, allowanceAmount);
+        this.nonce = await this.contract.nonces(await this.contract.getNonceKey(this.holder, this.spender));
+        this.deadline = ethers.MaxUint256;
+        this.signature = await deployer.signTypedData(this.domain, SpendType, {
+          holder: this.holder,
+          spender: this.spender,
+          amount,
+          deadline: this.deadline,
+          nonce: this.nonce,
+        });
+        this.receipt = await this.contract.connect(other).spendWithSignature(this.holder, this.spender, amount, this.deadline, this.signature);
+      });
+
+      it('emits a Spent event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'Spent').withArgs(this.spender, this.holder, amount);
+      });
+
+      it('does not emit an Approval event', async function () {
+        await expect(this.receipt).to.not.emit(this.contract, 'Approval');
+      });
+
+      it('decreases the holder balance', async function () {
+        expect(await this.contract.balances(this.holder)).to.equal(ethers.MaxUint256 - amount);
+      });
+
+      it('does not change the allowance', async function () {
+        expect(await this.contract.allowances(this.holder, this.spender)).to.equal(allowanceAmount);
+      });
+
+      it('increments the nonce', async function () {
+        expect(await this.contract.nonces(await this.contract.getNonceKey(this.holder, this.spender))).to.equal(this.nonce + 1n);
+      });
+
+      it('reverts when the signature is replayed', async function () {
+        await expect(
+          this.contract.connect(other).spendWithSignature(this.holder, this.spender, amount, this.deadline, this.signature),
+        ).to.be.revertedWithCustomError(this.contract, 'InvalidSignature');
+      });
+    });
+  });
+
   describe('spendAndCall(uint256,address,bytes)', function () {
     it('reverts if the holder does not have enough balance', async function () {
       await expect(this.contract.connect(other).spendAndCall(123n, other.address, '0x'))
@@ -283,9 +1179,597 @@ describe('PointsV2', function () {
     });
   });
 
+  describe('spendAndCallWithSignature(address,uint256,address,bytes,uint256,bytes)', function () {
+    const amount = 123n;
+    const data = '0x1234';
+
+    beforeEach(async function () {
+      this.receiverContract = await deployContract('PointsV2SpendingCallbackMock', await this.contract.getAddress());
+      this.target = await this.receiverContract.getAddress();
+      this.signSpendAndCall = async (signer, values) =>
+        signer.signTypedData(this.domain, SpendAndCallType, {
+          holder: signer.address,
+          amount,
+          target: this.target,
+          data,
+          deadline: ethers.MaxUint256,
+          nonce: await this.contract.nonces(await this.contract.getNonceKey(signer.address, this.target)),
+          ...values,
+        });
+    });
+
+    it('reverts if the signature is expired', async function () {
+      const signature = await this.signSpendAndCall(deployer, {deadline: 0n});
+      await expect(
+        this.contract.connect(other).spendAndCallWithSignature(deployer.address, amount, this.target, data, 0n, signature),
+      ).to.be.revertedWithCustomError(this.contract, 'ExpiredSignature');
+    });
+
+    it('reverts if the signature is invalid', async function () {
+      const signature = await this.signSpendAndCall(deployer, {
+        nonce: (await this.contract.nonces(await this.contract.getNonceKey(deployer.address, this.target))) + 1n, // wrong nonce
+      });
+      await expect(
+        this.contract.connect(other).spendAndCallWithSignature(deployer.address, amount, this.target, data, ethers.MaxUint256, signature),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidSignature');
+    });
+
+    it('reverts if the data differs from the signed data', async function () {
+      const signature = await this.signSpendAndCall(deployer);
+      await expect(
+        this.contract.connect(other).spendAndCallWithSignature(deployer.address, amount, this.target, '0x5678', ethers.MaxUint256, signature),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidSignature');
+    });
+
+    it('reverts if the target differs from the signed target', async function () {
+      const otherReceiverContract = await deployContract('PointsV2SpendingCallbackMock', await this.contract.getAddress());
+      const signature = await this.signSpendAndCall(deployer);
+      await expect(
+        this.contract
+          .connect(other)
+          .spendAndCallWithSignature(deployer.address, amount, await otherReceiverContract.getAddress(), data, ethers.MaxUint256, signature),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidSignature');
+    });
+
+    it('reverts if the holder does not have enough balance', async function () {
+      const signature = await this.signSpendAndCall(other);
+      await expect(this.contract.spendAndCallWithSignature(other.address, amount, this.target, data, ethers.MaxUint256, signature))
+        .to.be.revertedWithCustomError(this.contract, 'InsufficientBalance')
+        .withArgs(other.address, 0n, amount);
+    });
+
+    it('reverts if the callback target returns an invalid response', async function () {
+      const receiverContract = await deployContract('PointsV2WrongSpendingCallbackMock', await this.contract.getAddress());
+      const target = await receiverContract.getAddress();
+      const signature = await this.signSpendAndCall(deployer, {
+        target,
+        nonce: await this.contract.nonces(await this.contract.getNonceKey(deployer.address, target)),
+      });
+      await expect(this.contract.connect(other).spendAndCallWithSignature(deployer.address, amount, target, data, ethers.MaxUint256, signature))
+        .to.be.revertedWithCustomError(this.contract, 'CallbackRejected')
+        .withArgs(deployer.address, amount, target, data);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.nonce = await this.contract.nonces(await this.contract.getNonceKey(deployer.address, this.target));
+        this.signature = await this.signSpendAndCall(deployer);
+        this.receipt = await this.contract
+          .connect(other)
+          .spendAndCallWithSignature(deployer.address, amount, this.target, data, ethers.MaxUint256, this.signature);
+      });
+
+      it('emits a Spent event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'Spent').withArgs(deployer.address, deployer.address, amount);
+      });
+
+      it('decreases the holder balance', async function () {
+        expect(await this.contract.balances(deployer.address)).to.equal(ethers.MaxUint256 - amount);
+      });
+
+      it('calls the callback with the holder as spender', async function () {
+        await expect(this.receipt).to.emit(this.receiverContract, 'PointsSpent').withArgs(deployer.address, amount, data);
+      });
+
+      it('increments the nonce', async function () {
+        expect(await this.contract.nonces(await this.contract.getNonceKey(deployer.address, this.target))).to.equal(this.nonce + 1n);
+      });
+
+      it('reverts when the signature is replayed', async function () {
+        await expect(
+          this.contract.connect(other).spendAndCallWithSignature(deployer.address, amount, this.target, data, ethers.MaxUint256, this.signature),
+        ).to.be.revertedWithCustomError(this.contract, 'InvalidSignature');
+      });
+    });
+  });
+
+  describe('setTransfersEnabled(bool)', function () {
+    it('reverts if not called by the contract owner', async function () {
+      await expect(this.contract.connect(other).setTransfersEnabled(true))
+        .to.be.revertedWithCustomError(this.contract, 'NotContractOwner')
+        .withArgs(other.address);
+    });
+
+    it('enables the transfers', async function () {
+      await expect(this.contract.setTransfersEnabled(true)).to.emit(this.contract, 'TransfersEnabledSet').withArgs(true);
+      expect(await this.contract.transfersEnabled()).to.equal(true);
+    });
+  });
+
+  describe('setTransferReasonAllowed(bytes32,bool)', function () {
+    const reasonCode = ethers.encodeBytes32String('GIFT');
+
+    it('reverts if not called by the contract owner', async function () {
+      await expect(this.contract.connect(other).setTransferReasonAllowed(reasonCode, true))
+        .to.be.revertedWithCustomError(this.contract, 'NotContractOwner')
+        .withArgs(other.address);
+    });
+
+    it('allows the reason code', async function () {
+      await expect(this.contract.setTransferReasonAllowed(reasonCode, true))
+        .to.emit(this.contract, 'TransferReasonAllowedSet')
+        .withArgs(reasonCode, true);
+      expect(await this.contract.allowedTransferReasons(reasonCode)).to.equal(true);
+    });
+  });
+
+  describe('setTransferDailyCap(uint256)', function () {
+    it('reverts if not called by the contract owner', async function () {
+      await expect(this.contract.connect(other).setTransferDailyCap(100n))
+        .to.be.revertedWithCustomError(this.contract, 'NotContractOwner')
+        .withArgs(other.address);
+    });
+
+    it('sets the daily transfer cap', async function () {
+      await expect(this.contract.setTransferDailyCap(100n)).to.emit(this.contract, 'TransferDailyCapSet').withArgs(100n);
+      expect(await this.contract.transferDailyCap()).to.equal(100n);
+      expect(await this.contract.getRemainingDailyTransfer(other.address)).to.equal(100n);
+    });
+  });
+
+  context('transfers', function () {
+    const reasonCode = ethers.encodeBytes32String('GIFT');
+    let recipient;
+
+    before(async function () {
+      [, , recipient] = await ethers.getSigners();
+    });
+
+    beforeEach(async function () {
+      await this.contract.deposit(other.address, 100n, ethers.ZeroHash);
+      await this.contract.setTransfersEnabled(true);
+      await this.contract.setTransferReasonAllowed(reasonCode, true);
+    });
+
+    describe('transfer(address,uint256,bytes32)', function () {
+      it('reverts if the transfers are disabled', async function () {
+        await this.contract.setTransfersEnabled(false);
+        await expect(this.contract.connect(other).transfer(recipient.address, 1n, reasonCode)).to.be.revertedWithCustomError(
+          this.contract,
+          'TransfersDisabled',
+        );
+      });
+
+      it('reverts if the reason code is not allowed', async function () {
+        await expect(this.contract.connect(other).transfer(recipient.address, 1n, ethers.ZeroHash))
+          .to.be.revertedWithCustomError(this.contract, 'TransferReasonNotAllowed')
+          .withArgs(ethers.ZeroHash);
+      });
+
+      it('reverts if the contract is paused', async function () {
+        await this.contract.pause();
+        await expect(this.contract.connect(other).transfer(recipient.address, 1n, reasonCode)).to.be.revertedWithCustomError(this.contract, 'Paused');
+      });
+
+      it('reverts if the recipient is the zero address', async function () {
+        await expect(this.contract.connect(other).transfer(ethers.ZeroAddress, 1n, reasonCode))
+          .to.be.revertedWithCustomError(this.contract, 'TransferToAddressZero')
+          .withArgs(other.address);
+      });
+
+      it('reverts if the recipient is the sender', async function () {
+        await expect(this.contract.connect(other).transfer(other.address, 1n, reasonCode))
+          .to.be.revertedWithCustomError(this.contract, 'TransferToSelf')
+          .withArgs(other.address);
+      });
+
+      it('reverts if the recipient is frozen', async function () {
+        await this.contract.grantRole(await this.contract.FREEZER_ROLE(), deployer.address);
+        await this.contract.freeze(recipient.address);
+        await expect(this.contract.connect(other).transfer(recipient.address, 1n, reasonCode))
+          .to.be.revertedWithCustomError(this.contract, 'HolderFrozen')
+          .withArgs(recipient.address);
+      });
+
+      it('reverts if the holder does not have enough balance', async function () {
+        await expect(this.contract.connect(other).transfer(recipient.address, 101n, reasonCode))
+          .to.be.revertedWithCustomError(this.contract, 'InsufficientBalance')
+          .withArgs(other.address, 100n, 101n);
+      });
+
+      it('reverts if the amount exceeds the remaining daily cap', async function () {
+        await this.contract.setTransferDailyCap(50n);
+        await this.contract.connect(other).transfer(recipient.address, 30n, reasonCode);
+        await expect(this.contract.connect(other).transfer(recipient.address, 21n, reasonCode))
+          .to.be.revertedWithCustomError(this.contract, 'TransferDailyCapExceeded')
+          .withArgs(other.address, 20n, 21n);
+        await time.increase(86400n);
+        expect(await this.contract.getRemainingDailyTransfer(other.address)).to.equal(50n);
+        await this.contract.connect(other).transfer(recipient.address, 50n, reasonCode);
+      });
+
+      context('when successful', function () {
+        beforeEach(async function () {
+          this.receipt = await this.contract.connect(other).transfer(recipient.address, 60n, reasonCode);
+        });
+
+        it('emits a Transferred event', async function () {
+          await expect(this.receipt).to.emit(this.contract, 'Transferred').withArgs(other.address, other.address, recipient.address, reasonCode, 60n);
+        });
+
+        it('does not emit a Spent event', async function () {
+          await expect(this.receipt).to.not.emit(this.contract, 'Spent');
+        });
+
+        it('moves the balance', async function () {
+          expect(await this.contract.balances(other.address)).to.equal(40n);
+          expect(await this.contract.balances(recipient.address)).to.equal(60n);
+        });
+      });
+
+      it('keeps the expiry of the transferred lots', async function () {
+        const expiry = roundUpExpiry(BigInt(await time.latest()) + 1000n);
+        await this.contract.depositWithExpiry(other.address, 30n, ethers.ZeroHash, expiry);
+        await expect(this.contract.connect(other).transfer(recipient.address, 40n, reasonCode))
+          .to.emit(this.contract, 'LotConsumed')
+          .withArgs(other.address, expiry, 30n)
+          .and.to.emit(this.contract, 'LotDeposited')
+          .withArgs(recipient.address, expiry, 30n);
+        expect(await this.contract.getLots(recipient.address)).to.deep.equal([[expiry, 30n]]);
+        expect(await this.contract.nonExpiringBalances(recipient.address)).to.equal(10n);
+        expect(await this.contract.nonExpiringBalances(other.address)).to.equal(90n);
+      });
+
+      context('when the recipient holds the maximum number of lots', function () {
+        beforeEach(async function () {
+          this.now = await increaseToNextLotExpiry();
+          const maxLots = await this.contract.MAX_TRANSFER_RECIPIENT_LOTS();
+          for (let i = 1n; i <= maxLots; ++i) {
+            await this.contract.depositWithExpiry(recipient.address, 1n, ethers.ZeroHash, this.now + i * LOT_EXPIRY_GRANULARITY);
+          }
+        });
+
+        it('reverts if the transfer credits a lot of a new expiry', async function () {
+          await this.contract.depositWithExpiry(other.address, 10n, ethers.ZeroHash, this.now + 40n * LOT_EXPIRY_GRANULARITY);
+          await expect(this.contract.connect(other).transfer(recipient.address, 10n, reasonCode))
+            .to.be.revertedWithCustomError(this.contract, 'TooManyLots')
+            .withArgs(recipient.address, 32n);
+        });
+
+        it('merges the transferred lots of an existing expiry', async function () {
+          await this.contract.depositWithExpiry(other.address, 10n, ethers.ZeroHash, this.now + LOT_EXPIRY_GRANULARITY);
+          await this.contract.connect(other).transfer(recipient.address, 10n, reasonCode);
+          expect((await this.contract.getLots(recipient.address))[0]).to.deep.equal([this.now + LOT_EXPIRY_GRANULARITY, 11n]);
+        });
+
+        it('transfers the non-expiring balance', async function () {
+          await this.contract.connect(other).transfer(recipient.address, 10n, reasonCode);
+          expect(await this.contract.nonExpiringBalances(recipient.address)).to.equal(10n);
+        });
+
+        it('credits a lot of a new expiry once the lots of the recipient have expired', async function () {
+          await this.contract.depositWithExpiry(other.address, 10n, ethers.ZeroHash, this.now + 40n * LOT_EXPIRY_GRANULARITY);
+          await time.increaseTo(this.now + LOT_EXPIRY_GRANULARITY);
+          await this.contract.connect(other).transfer(recipient.address, 10n, reasonCode);
+          expect(await this.contract.getLots(recipient.address)).to.deep.include([this.now + 40n * LOT_EXPIRY_GRANULARITY, 10n]);
+        });
+      });
+    });
+
+    describe('transferFrom(address,address,uint256,bytes32)', function () {
+      it('reverts if the allowance is insufficient', async function () {
+        await expect(this.contract.transferFrom(other.address, recipient.address, 1n, reasonCode))
+          .to.be.revertedWithCustomError(this.contract, 'InsufficientAllowance')
+          .withArgs(other.address, deployer.address, 0n, 1n);
+      });
+
+      it('reverts if the spender is frozen', async function () {
+        await this.contract.connect(other).approve(deployer.address, 1n);
+        await this.contract.grantRole(await this.contract.FREEZER_ROLE(), deployer.address);
+        await this.contract.freeze(deployer.address);
+        await expect(this.contract.transferFrom(other.address, recipient.address, 1n, reasonCode))
+          .to.be.revertedWithCustomError(this.contract, 'SpenderFrozen')
+          .withArgs(deployer.address);
+      });
+
+      context('when successful', function () {
+        beforeEach(async function () {
+          await this.contract.connect(other).approve(deployer.address, 100n);
+          this.receipt = await this.contract.transferFrom(other.address, recipient.address, 60n, reasonCode);
+        });
+
+        it('emits an Approval event', async function () {
+          await expect(this.receipt).to.emit(this.contract, 'Approval').withArgs(other.address, deployer.address, 40n);
+        });
+
+        it('emits a Transferred event', async function () {
+          await expect(this.receipt)
+            .to.emit(this.contract, 'Transferred')
+            .withArgs(deployer.address, other.address, recipient.address, reasonCode, 60n);
+        });
+
+        it('moves the balance', async function () {
+          expect(await this.contract.balances(other.address)).to.equal(40n);
+          expect(await this.contract.balances(recipient.address)).to.equal(60n);
+        });
+
+        it('decreases the allowance', async function () {
+          expect(await this.contract.allowances(other.address, deployer.address)).to.equal(40n);
+        });
+      });
+    });
+  });
+
+  describe('snapshot()', function () {
+    it('reverts if not called by a snapshot role holder', async function () {
+      await expect(this.contract.connect(other).snapshot())
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.SNAPSHOT_ROLE(), other.address);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        await this.contract.grantRole(await this.contract.SNAPSHOT_ROLE(), deployer.address);
+        this.snapshotId = await this.contract.snapshot.staticCall();
+        this.receipt = await this.contract.snapshot();
+        this.timestamp = BigInt(await time.latest());
+      });
+
+      it('returns the snapshot id', async function () {
+        expect(this.snapshotId).to.equal(1n);
+        expect(await this.contract.currentSnapshotId()).to.equal(1n);
+      });
+
+      it('emits a SnapshotTaken event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'SnapshotTaken').withArgs(1n, this.timestamp);
+      });
+
+      it('records the snapshot timestamp', async function () {
+        expect(await this.contract.getSnapshotTimestamp(1n)).to.equal(this.timestamp);
+      });
+    });
+  });
+
+  describe('balanceOfAt(address,uint256)', function () {
+    let recipient;
+
+    before(async function () {
+      [, , recipient] = await ethers.getSigners();
+    });
+
+    beforeEach(async function () {
+      await this.contract.grantRole(await this.contract.SNAPSHOT_ROLE(), deployer.address);
+    });
+
+    it('reverts if the snapshot has not been taken', async function () {
+      await expect(this.contract.balanceOfAt(other.address, 0n)).to.be.revertedWithCustomError(this.contract, 'NonexistentSnapshot').withArgs(0n);
+      await this.contract.snapshot();
+      await expect(this.contract.balanceOfAt(other.address, 2n)).to.be.revertedWithCustomError(this.contract, 'NonexistentSnapshot').withArgs(2n);
+    });
+
+    it('returns the balances at the time of the snapshots', async function () {
+      await this.contract.deposit(other.address, 100n, ethers.ZeroHash);
+      await this.contract.snapshot();
+      await this.contract.deposit(other.address, 50n, ethers.ZeroHash);
+      await this.contract.deposit(other.address, 10n, ethers.ZeroHash);
+      await this.contract.snapshot();
+      await this.contract.connect(other).spendFrom(other.address, 30n);
+      await this.contract.snapshot();
+      await this.contract.snapshot();
+      await this.contract.connect(other).spendFrom(other.address, 30n);
+      expect(await this.contract.balanceOfAt(other.address, 1n)).to.equal(100n);
+      expect(await this.contract.balanceOfAt(other.address, 2n)).to.equal(160n);
+      expect(await this.contract.balanceOfAt(other.address, 3n)).to.equal(130n);
+      expect(await this.contract.balanceOfAt(other.address, 4n)).to.equal(130n);
+      expect(await this.contract.balances(other.address)).to.equal(100n);
+    });
+
+    it('returns the current balance if it has not changed since the snapshot', async function () {
+      await this.contract.deposit(other.address, 100n, ethers.ZeroHash);
+      await this.contract.snapshot();
+      expect(await this.contract.balanceOfAt(other.address, 1n)).to.equal(100n);
+      expect(await this.contract.balanceOfAt(recipient.address, 1n)).to.equal(0n);
+    });
+
+    it('records the balances of both holders of a transfer', async function () {
+      await this.contract.setTransfersEnabled(true);
+      await this.contract.setTransferReasonAllowed(ethers.ZeroHash, true);
+      await this.contract.deposit(other.address, 100n, ethers.ZeroHash);
+      await this.contract.deposit(recipient.address, 5n, ethers.ZeroHash);
+      await this.contract.snapshot();
+      await this.contract.connect(other).transfer(recipient.address, 40n, ethers.ZeroHash);
+      expect(await this.contract.balanceOfAt(other.address, 1n)).to.equal(100n);
+      expect(await this.contract.balanceOfAt(recipient.address, 1n)).to.equal(5n);
+      expect(await this.contract.balances(recipient.address)).to.equal(45n);
+    });
+
+    it('includes the points which were not expired at the time of the snapshot', async function () {
+      const expiry = roundUpExpiry(BigInt(await time.latest()) + 1000n);
+      await this.contract.deposit(other.address, 100n, ethers.ZeroHash);
+      await this.contract.depositWithExpiry(other.address, 40n, ethers.ZeroHash, expiry);
+      await this.contract.snapshot();
+      await time.increaseTo(expiry);
+      await this.contract.snapshot();
+      expect(await this.contract.balanceOfAt(other.address, 1n)).to.equal(140n);
+      expect(await this.contract.balanceOfAt(other.address, 2n)).to.equal(100n);
+      await this.contract.connect(other).spendFrom(other.address, 10n);
+      expect(await this.contract.balanceOfAt(other.address, 1n)).to.equal(140n);
+      expect(await this.contract.balanceOfAt(other.address, 2n)).to.equal(100n);
+      expect(await this.contract.balances(other.address)).to.equal(90n);
+    });
+
+    it('records the expiries of the lots between the snapshots', async function () {
+      const now = await increaseToNextLotExpiry();
+      await this.contract.deposit(other.address, 100n, ethers.ZeroHash);
+      await this.contract.depositWithExpiry(other.address, 10n, ethers.ZeroHash, now + 2n * LOT_EXPIRY_GRANULARITY);
+      await this.contract.depositWithExpiry(other.address, 20n, ethers.ZeroHash, now + 4n * LOT_EXPIRY_GRANULARITY);
+      await this.contract.depositWithExpiry(other.address, 30n, ethers.ZeroHash, now + 5n * LOT_EXPIRY_GRANULARITY);
+      await this.contract.depositWithExpiry(other.address, 40n, ethers.ZeroHash, now + 10n * LOT_EXPIRY_GRANULARITY);
+      await this.contract.snapshot();
+      await this.contract.snapshot();
+      await time.increaseTo(now + 2n * LOT_EXPIRY_GRANULARITY);
+      await this.contract.snapshot();
+      await time.increaseTo(now + 6n * LOT_EXPIRY_GRANULARITY);
+      await this.contract.snapshot();
+      await this.contract.connect(other).spendFrom(other.address, 1n);
+      await time.increaseTo(now + 12n * LOT_EXPIRY_GRANULARITY);
+      await this.contract.snapshot();
+      await this.contract.connect(other).spendFrom(other.address, 1n);
+      expect(await this.contract.balanceOfAt(other.address, 1n)).to.equal(200n);
+      expect(await this.contract.balanceOfAt(other.address, 2n)).to.equal(200n);
+      expect(await this.contract.balanceOfAt(other.address, 3n)).to.equal(190n);
+      expect(await this.contract.balanceOfAt(other.address, 4n)).to.equal(140n);
+      expect(await this.contract.balanceOfAt(other.address, 5n)).to.equal(100n);
+      expect(await this.contract.balances(other.address)).to.equal(99n);
+    });
+  });
+
+  context('when paused', function () {
+    beforeEach(async function () {
+      await this.contract.pause();
+    });
+
+    it('reverts on deposit', async function () {
+      await expect(this.contract.deposit(other.address, 1n, ethers.ZeroHash)).to.be.revertedWithCustomError(this.contract, 'Paused');
+      await expect(this.contract.depositWithExpiry(other.address, 1n, ethers.ZeroHash, 0n)).to.be.revertedWithCustomError(this.contract, 'Paused');
+    });
+
+    it('reverts on approve', async function () {
+      await expect(this.contract.approve(other.address, 1n)).to.be.revertedWithCustomError(this.contract, 'Paused');
+    });
+
+    it('reverts on spend', async function () {
+      await expect(this.contract.spendFrom(deployer.address, 1n)).to.be.revertedWithCustomError(this.contract, 'Paused');
+    });
+
+    it('reverts on spendAndCall', async function () {
+      const receiverContract = await deployContract('PointsV2SpendingCallbackMock', await this.contract.getAddress());
+      await expect(this.contract.spendAndCall(1n, await receiverContract.getAddress(), '0x')).to.be.revertedWithCustomError(this.contract, 'Paused');
+    });
+
+    it('does not revert on debit', async function () {
+      await this.contract.grantRole(await this.contract.DEBITOR_ROLE(), deployer.address);
+      await expect(this.contract.debit(deployer.address, 1n, ethers.ZeroHash)).to.emit(this.contract, 'Debited');
+    });
+
+    it('does not revert once unpaused', async function () {
+      await this.contract.unpause();
+      await expect(this.contract.spendFrom(deployer.address, 1n)).to.emit(this.contract, 'Spent');
+    });
+  });
+
+  describe('freeze(address)', function () {
+    it('reverts if not called by a freezer', async function () {
+      await expect(this.contract.connect(other).freeze(deployer.address))
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.FREEZER_ROLE(), other.address);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        await this.contract.grantRole(await this.contract.FREEZER_ROLE(), deployer.address);
+        this.receipt = await this.contract.freeze(other.address);
+      });
+
+      it('emits a Frozen event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'Frozen').withArgs(other.address, deployer.address);
+      });
+
+      it('freezes the holder', async function () {
+        expect(await this.contract.frozen(other.address)).to.equal(true);
+      });
+    });
+  });
+
+  describe('unfreeze(address)', function () {
+    it('reverts if not called by a freezer', async function () {
+      await expect(this.contract.connect(other).unfreeze(deployer.address))
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.FREEZER_ROLE(), other.address);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        await this.contract.grantRole(await this.contract.FREEZER_ROLE(), deployer.address);
+        await this.contract.freeze(other.address);
+        this.receipt = await this.contract.unfreeze(other.address);
+      });
+
+      it('emits an Unfrozen event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'Unfrozen').withArgs(other.address, deployer.address);
+      });
+
+      it('unfreezes the holder', async function () {
+        expect(await this.contract.frozen(other.address)).to.equal(false);
+      });
+    });
+  });
+
+  context('when a holder is frozen', function () {
+    beforeEach(async function () {
+      await this.contract.deposit(other.address, 100n, ethers.ZeroHash);
+      await this.contract.grantRole(await this.contract.FREEZER_ROLE(), deployer.address);
+      await this.contract.freeze(other.address);
+    });
+
+    it('reverts on deposit to the holder', async function () {
+      await expect(this.contract.deposit(other.address, 1n, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(this.contract, 'HolderFrozen')
+        .withArgs(other.address);
+    });
+
+    it('reverts on approve from the holder', async function () {
+      await expect(this.contract.connect(other).approve(deployer.address, 1n))
+        .to.be.revertedWithCustomError(this.contract, 'HolderFrozen')
+        .withArgs(other.address);
+    });
+
+    it('reverts on spend from the holder', async function () {
+      await expect(this.contract.connect(other).spendFrom(other.address, 1n))
+        .to.be.revertedWithCustomError(this.contract, 'HolderFrozen')
+        .withArgs(other.address);
+    });
+
+    it('reverts on spendAndCall from the holder', async function () {
+      const receiverContract = await deployContract('PointsV2SpendingCallbackMock', await this.contract.getAddress());
+      await expect(this.contract.connect(other).spendAndCall(1n, await receiverContract.getAddress(), '0x'))
+        .to.be.revertedWithCustomError(this.contract, 'HolderFrozen')
+        .withArgs(other.address);
+    });
+
+    it('reverts on spend by the holder as spender', async function () {
+      await this.contract.approve(other.address, 1n);
+      await expect(this.contract.connect(other).spendFrom(deployer.address, 1n))
+        .to.be.revertedWithCustomError(this.contract, 'SpenderFrozen')
+        .withArgs(other.address);
+    });
+
+    it('does not revert on debit from the holder', async function () {
+      await this.contract.grantRole(await this.contract.DEBITOR_ROLE(), deployer.address);
+      await expect(this.contract.debit(other.address, 100n, ethers.ZeroHash)).to.emit(this.contract, 'Debited');
+    });
+  });
+
   describe('__msgData()', function () {
     it('returns the msg.data', async function () {
       await this.contract.__msgData();
     });
   });
+
+  describe('bytecode', function () {
+    it('fits in the EIP-170 contract size limit @skip-on-coverage', async function () {
+      const {deployedBytecode} = await artifacts.readArtifact('PointsV2');
+      expect(ethers.dataLength(deployedBytecode)).to.be.at.most(24576);
+    });
+  });
 });
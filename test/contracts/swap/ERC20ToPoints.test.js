@@ -1,32 +1,53 @@
 const {ethers} = require('hardhat');
 const {expect} = require('chai');
+const {time} = require('@nomicfoundation/hardhat-network-helpers');
 const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
 const {getForwarderRegistryAddress} = require('@animoca/ethereum-contracts/test/helpers/registries');
 const {deployContract} = require('@animoca/ethereum-contract-helpers/src/test/deploy');
 
 describe('ERC20ToPoints', function () {
-  let deployer, other;
+  let deployer, operator, payoutWallet, other;
 
   const TOKEN_TO_POINTS_RATE = 200n;
+  const DEPOSIT_REASON = 'CheckToPoints deposit';
+  const DEPOSIT_REASON_CODE = ethers.keccak256(ethers.toUtf8Bytes(DEPOSIT_REASON));
+  const PRICE_FEED_DECIMALS = 8n;
+  const PRICE_FEED_ANSWER = 150n * 10n ** (PRICE_FEED_DECIMALS - 2n); // 1.50 USD per token
+  const POINTS_PER_QUOTE_UNIT = 100n; // 100 Points per USD
+  const MAX_PRICE_AGE = 3600n;
+
+  const PermitType = {
+    Permit: [
+      {name: 'owner', type: 'address'},
+      {name: 'spender', type: 'address'},
+      {name: 'value', type: 'uint256'},
+      {name: 'nonce', type: 'uint256'},
+      {name: 'deadline', type: 'uint256'},
+    ],
+  };
+
+  const signPermit = async function (token, owner, spender, value, deadline) {
+    const {chainId} = await ethers.provider.getNetwork();
+    const domain = {name: await token.name(), version: '1', chainId, verifyingContract: await token.getAddress()};
+    const nonce = await token.nonces(owner.address);
+    return ethers.Signature.from(await owner.signTypedData(domain, PermitType, {owner: owner.address, spender, value, nonce, deadline}));
+  };
 
   before(async function () {
-    [deployer, other] = await ethers.getSigners();
+    [deployer, operator, payoutWallet, other] = await ethers.getSigners();
   });
 
   const fixture = async function () {
     this.forwarderRegistryAddress = await getForwarderRegistryAddress();
-    this.token = await deployContract('ERC20FixedSupply', '', '', 18, [deployer.address], [ethers.MaxUint256], this.forwarderRegistryAddress);
+    this.token = await deployContract('ERC20FixedSupply', 'Token', 'TKN', 18, [deployer.address], [ethers.MaxUint256], this.forwarderRegistryAddress);
+    this.otherToken = await deployContract('ERC20FixedSupply', '', '', 6, [deployer.address], [ethers.MaxUint256], this.forwarderRegistryAddress);
     this.points = await deployContract('PointsV2', this.forwarderRegistryAddress);
-    this.contract = await deployContract(
-      'ERC20ToPointsMock',
-      await this.token.getAddress(),
-      await this.points.getAddress(),
-      TOKEN_TO_POINTS_RATE,
-      'CheckToPoints deposit',
-      other.address,
-      this.forwarderRegistryAddress,
-    );
+    this.contract = await deployContract('ERC20ToPointsMock', await this.points.getAddress(), this.forwarderRegistryAddress);
+    this.priceFeed = await deployContract('AggregatorV3Mock', PRICE_FEED_DECIMALS, PRICE_FEED_ANSWER);
+    await this.contract.grantRole(await this.contract.OPERATOR_ROLE(), operator.address);
+    await this.contract.connect(operator).setToken(this.token, TOKEN_TO_POINTS_RATE, 1n, DEPOSIT_REASON, payoutWallet.address, true);
     await this.token.approve(await this.contract.getAddress(), ethers.MaxUint256);
+    await this.otherToken.approve(await this.contract.getAddress(), ethers.MaxUint256);
     await this.points.grantRole(await this.points.DEPOSITOR_ROLE(), await this.contract.getAddress());
   };
 
@@ -34,23 +55,235 @@ describe('ERC20ToPoints', function () {
     await loadFixture(fixture, this);
   });
 
-  describe('constructor(address,address,address)', function () {
-    it('sets the TOKEN token address', async function () {
-      expect(await this.contract.TOKEN()).to.equal(await this.token.getAddress());
-    });
-
+  describe('constructor(address,address)', function () {
     it('sets the PointsV2 address', async function () {
       expect(await this.contract.POINTS()).to.equal(await this.points.getAddress());
     });
+  });
+
+  describe('setToken(address,uint256,uint256,string,address,bool)', function () {
+    it('reverts if the sender is not an operator', async function () {
+      await expect(this.contract.connect(other).setToken(this.otherToken, 1n, 1n, DEPOSIT_REASON, payoutWallet.address, true))
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.OPERATOR_ROLE(), other.address);
+    });
+
+    it('reverts if the token is the zero address', async function () {
+      await expect(
+        this.contract.connect(operator).setToken(ethers.ZeroAddress, 1n, 1n, DEPOSIT_REASON, payoutWallet.address, true),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidToken');
+    });
+
+    it('reverts if the rate numerator is zero', async function () {
+      await expect(
+        this.contract.connect(operator).setToken(this.otherToken, 0n, 1n, DEPOSIT_REASON, payoutWallet.address, true),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidTokenToPointsRate');
+    });
+
+    it('reverts if the rate denominator is zero', async function () {
+      await expect(
+        this.contract.connect(operator).setToken(this.otherToken, 1n, 0n, DEPOSIT_REASON, payoutWallet.address, true),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidTokenToPointsRate');
+    });
+
+    it('reverts if one Point is worth less than the smallest token unit', async function () {
+      await expect(
+        this.contract.connect(operator).setToken(this.otherToken, 10n ** 6n + 1n, 1n, DEPOSIT_REASON, payoutWallet.address, true),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidTokenToPointsRate');
+    });
+
+    it('accepts a rate of one Point for the smallest token unit', async function () {
+      await this.contract.connect(operator).setToken(this.otherToken, 10n ** 6n, 1n, DEPOSIT_REASON, payoutWallet.address, true);
+      expect(await this.contract.getTokenAmount(this.otherToken, 3n)).to.equal(3n);
+    });
+
+    it('reverts if the payout wallet is the zero address', async function () {
+      await expect(
+        this.contract.connect(operator).setToken(this.otherToken, 1n, 1n, DEPOSIT_REASON, ethers.ZeroAddress, true),
+      ).to.be.revertedWithCustomError(this.contract, 'ZeroAddressPayoutWallet');
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.contract.connect(operator).setToken(this.otherToken, 4n, 1n, 'Other deposit', other.address, false);
+      });
+
+      it('sets the token configuration', async function () {
+        const config = await this.contract.tokenConfigs(this.otherToken);
+        expect(config.rateNumerator).to.equal(4n);
+        expect(config.rateDenominator).to.equal(1n);
+        expect(config.depositReason).to.equal(ethers.keccak256(ethers.toUtf8Bytes('Other deposit')));
+        expect(config.payoutWallet).to.equal(other.address);
+        expect(config.enabled).to.equal(false);
+      });
+
+      it('emits a TokenConfigSet event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'TokenConfigSet')
+          .withArgs(await this.otherToken.getAddress(), 4n, 1n, ethers.keccak256(ethers.toUtf8Bytes('Other deposit')), other.address, false);
+      });
+    });
+  });
+
+  describe('setTokenEnabled(address,bool)', function () {
+    it('reverts if the sender is not an operator', async function () {
+      await expect(this.contract.connect(other).setTokenEnabled(this.token, false))
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.OPERATOR_ROLE(), other.address);
+    });
+
+    it('reverts if the token is not in the registry', async function () {
+      await expect(this.contract.connect(operator).setTokenEnabled(this.otherToken, true))
+        .to.be.revertedWithCustomError(this.contract, 'UnsupportedToken')
+        .withArgs(await this.otherToken.getAddress());
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.contract.connect(operator).setTokenEnabled(this.token, false);
+      });
+
+      it('sets the enabled flag', async function () {
+        expect((await this.contract.tokenConfigs(this.token)).enabled).to.equal(false);
+      });
+
+      it('emits a TokenEnabledSet event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'TokenEnabledSet')
+          .withArgs(await this.token.getAddress(), false);
+      });
+    });
+  });
+
+  describe('setTokenPriceFeed(address,address,uint64,uint256)', function () {
+    it('reverts if the sender is not an operator', async function () {
+      await expect(this.contract.connect(other).setTokenPriceFeed(this.token, this.priceFeed, MAX_PRICE_AGE, POINTS_PER_QUOTE_UNIT))
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.OPERATOR_ROLE(), other.address);
+    });
+
+    it('reverts if the token is not in the registry', async function () {
+      await expect(this.contract.connect(operator).setTokenPriceFeed(this.otherToken, this.priceFeed, MAX_PRICE_AGE, POINTS_PER_QUOTE_UNIT))
+        .to.be.revertedWithCustomError(this.contract, 'UnsupportedToken')
+        .withArgs(await this.otherToken.getAddress());
+    });
+
+    it('reverts if the maximum price age is zero', async function () {
+      await expect(
+        this.contract.connect(operator).setTokenPriceFeed(this.token, this.priceFeed, 0, POINTS_PER_QUOTE_UNIT),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidMaxPriceAge');
+    });
+
+    it('reverts if the target amount of Points per quote unit is zero', async function () {
+      await expect(this.contract.connect(operator).setTokenPriceFeed(this.token, this.priceFeed, MAX_PRICE_AGE, 0)).to.be.revertedWithCustomError(
+        this.contract,
+        'InvalidPointsPerQuoteUnit',
+      );
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.contract.connect(operator).setTokenPriceFeed(this.token, this.priceFeed, MAX_PRICE_AGE, POINTS_PER_QUOTE_UNIT);
+      });
+
+      it('sets the price feed of the token', async function () {
+        const config = await this.contract.tokenConfigs(this.token);
+        expect(config.priceFeed).to.equal(await this.priceFeed.getAddress());
+        expect(config.maxPriceAge).to.equal(MAX_PRICE_AGE);
+        expect(config.pointsPerQuoteUnit).to.equal(POINTS_PER_QUOTE_UNIT);
+      });
+
+      it('emits a TokenPriceFeedSet event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'TokenPriceFeedSet')
+          .withArgs(await this.token.getAddress(), await this.priceFeed.getAddress(), MAX_PRICE_AGE, POINTS_PER_QUOTE_UNIT);
+      });
+
+      it('keeps the price feed when the token is updated', async function () {
+        await this.contract.connect(operator).setToken(this.token, 1n, 1n, DEPOSIT_REASON, payoutWallet.address, true);
+        expect((await this.contract.tokenConfigs(this.token)).priceFeed).to.equal(await this.priceFeed.getAddress());
+      });
+
+      it('can be reset to the fixed rate', async function () {
+        await this.contract.connect(operator).setTokenPriceFeed(this.token, ethers.ZeroAddress, 0, 0);
+        expect((await this.contract.tokenConfigs(this.token)).priceFeed).to.equal(ethers.ZeroAddress);
+        expect(await this.contract.getTokenAmount(this.token, 1n)).to.equal(ethers.parseUnits('1', 18) / TOKEN_TO_POINTS_RATE);
+      });
+    });
+  });
+
+  describe('getTokenAmount(address,uint256)', function () {
+    it('reverts if the token is not in the registry', async function () {
+      await expect(this.contract.getTokenAmount(this.otherToken, 1))
+        .to.be.revertedWithCustomError(this.contract, 'UnsupportedToken')
+        .withArgs(await this.otherToken.getAddress());
+    });
+
+    it('returns the amount at the fixed rate', async function () {
+      expect(await this.contract.getTokenAmount(this.token, 10n)).to.equal(ethers.parseUnits('10', 18) / TOKEN_TO_POINTS_RATE);
+    });
+
+    context('with a price feed', function () {
+      beforeEach(async function () {
+        await this.contract.connect(operator).setTokenPriceFeed(this.token, this.priceFeed, MAX_PRICE_AGE, POINTS_PER_QUOTE_UNIT);
+      });
+
+      it('reverts if the price is zero', async function () {
+        await this.priceFeed.setAnswer(0);
+        await expect(this.contract.getTokenAmount(this.token, 10n))
+          .to.be.revertedWithCustomError(this.contract, 'InvalidPrice')
+          .withArgs(await this.priceFeed.getAddress(), 0);
+      });
+
+      it('reverts if the price is negative', async function () {
+        await this.priceFeed.setAnswer(-1);
+        await expect(this.contract.getTokenAmount(this.token, 10n))
+          .to.be.revertedWithCustomError(this.contract, 'InvalidPrice')
+          .withArgs(await this.priceFeed.getAddress(), -1);
+      });
 
-    it('sets the payout address', async function () {
-      expect(await this.contract.payoutWallet()).to.equal(other.address);
+      it('reverts if the price is stale', async function () {
+        const updatedAt = BigInt(await time.latest()) - MAX_PRICE_AGE - 1n;
+        await this.priceFeed.setRoundData(PRICE_FEED_ANSWER, updatedAt);
+        await expect(this.contract.getTokenAmount(this.token, 10n))
+          .to.be.revertedWithCustomError(this.contract, 'StalePrice')
+          .withArgs(await this.priceFeed.getAddress(), updatedAt);
+      });
+
+      it('returns the amount at the price feed rate, rounded up', async function () {
+        // 10 Points at 1.50 USD per token and 100 Points per USD: 0.0666...67 tokens
+        expect(await this.contract.getTokenAmount(this.token, 10n)).to.equal(66666666666666667n);
+      });
+
+      it('applies the target amount of Points per quote unit', async function () {
+        await this.contract.connect(operator).setTokenPriceFeed(this.token, this.priceFeed, MAX_PRICE_AGE, 20n);
+        // 30 Points at 1.50 USD per token and 20 Points per USD: 1 token
+        expect(await this.contract.getTokenAmount(this.token, 30n)).to.equal(ethers.parseUnits('1', 18));
+      });
+
+      it('follows the price feed updates', async function () {
+        await this.priceFeed.setAnswer(200n * 10n ** (PRICE_FEED_DECIMALS - 2n));
+        expect(await this.contract.getTokenAmount(this.token, 10n)).to.equal(ethers.parseUnits('0.05', 18));
+      });
     });
   });
 
-  describe('exchange(uint256)', function () {
+  describe('exchange(address,uint256)', function () {
     it('reverts if pointsAmount is zero', async function () {
-      await expect(this.contract.exchange(0)).to.be.revertedWithCustomError(this.contract, 'InvalidPointsAmount');
+      await expect(this.contract['exchange(address,uint256)'](this.token, 0)).to.be.revertedWithCustomError(this.contract, 'InvalidPointsAmount');
+    });
+
+    it('reverts if the token is not in the registry', async function () {
+      await expect(this.contract['exchange(address,uint256)'](this.otherToken, 1))
+        .to.be.revertedWithCustomError(this.contract, 'UnsupportedToken')
+        .withArgs(await this.otherToken.getAddress());
+    });
+
+    it('reverts if the token is disabled', async function () {
+      await this.contract.connect(operator).setTokenEnabled(this.token, false);
+      await expect(this.contract['exchange(address,uint256)'](this.token, 1))
+        .to.be.revertedWithCustomError(this.contract, 'TokenDisabled')
+        .withArgs(await this.token.getAddress());
     });
 
     context('when successful', function () {
@@ -58,23 +291,825 @@ describe('ERC20ToPoints', function () {
       const tokenAmount = ethers.parseUnits(pointsAmount.toString(), 18) / TOKEN_TO_POINTS_RATE;
 
       beforeEach(async function () {
-        this.receipt = await this.contract.exchange(pointsAmount);
+        this.receipt = await this.contract['exchange(address,uint256)'](this.token, pointsAmount);
       });
 
-      it('transfers the TOKEN token from the caller', async function () {
-        await expect(this.receipt).to.emit(this.token, 'Transfer').withArgs(deployer.address, other.address, tokenAmount);
+      it('transfers the token from the caller to the payout wallet', async function () {
+        await expect(this.receipt).to.emit(this.token, 'Transfer').withArgs(deployer.address, payoutWallet.address, tokenAmount);
       });
+
       it('deposits points to the caller', async function () {
         await expect(this.receipt)
           .to.emit(this.points, 'Deposited')
-          .withArgs(await this.contract.getAddress(), await this.contract.DEPOSIT_REASON(), deployer.address, pointsAmount);
+          .withArgs(await this.contract.getAddress(), DEPOSIT_REASON_CODE, deployer.address, pointsAmount);
+      });
+
+      it('emits an Exchanged event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'Exchanged')
+          .withArgs(deployer.address, await this.token.getAddress(), tokenAmount, pointsAmount);
+      });
+    });
+
+    context('when successful with another token', function () {
+      const pointsAmount = 3n;
+
+      beforeEach(async function () {
+        await this.contract.connect(operator).setToken(this.otherToken, 4n, 1n, 'Other deposit', other.address, true);
+        this.receipt = await this.contract['exchange(address,uint256)'](this.otherToken, pointsAmount);
+      });
+
+      it('uses the rate and the payout wallet of the token', async function () {
+        await expect(this.receipt).to.emit(this.otherToken, 'Transfer').withArgs(deployer.address, other.address, 750000n);
+      });
+
+      it('uses the deposit reason of the token', async function () {
+        await expect(this.receipt)
+          .to.emit(this.points, 'Deposited')
+          .withArgs(await this.contract.getAddress(), ethers.keccak256(ethers.toUtf8Bytes('Other deposit')), deployer.address, pointsAmount);
+      });
+
+      it('emits an Exchanged event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'Exchanged')
+          .withArgs(deployer.address, await this.otherToken.getAddress(), 750000n, pointsAmount);
+      });
+    });
+  });
+
+  describe('exchange(address,uint256,uint256)', function () {
+    beforeEach(async function () {
+      await this.contract.connect(operator).setTokenPriceFeed(this.token, this.priceFeed, MAX_PRICE_AGE, POINTS_PER_QUOTE_UNIT);
+    });
+
+    it('reverts if the price is stale', async function () {
+      await time.increase(MAX_PRICE_AGE + 1n);
+      await expect(this.contract['exchange(address,uint256,uint256)'](this.token, 10n, ethers.MaxUint256)).to.be.revertedWithCustomError(
+        this.contract,
+        'StalePrice',
+      );
+    });
+
+    it('reverts if the token amount is above the maximum', async function () {
+      await this.priceFeed.setAnswer(100n * 10n ** (PRICE_FEED_DECIMALS - 2n));
+      await expect(this.contract['exchange(address,uint256,uint256)'](this.token, 10n, 66666666666666667n))
+        .to.be.revertedWithCustomError(this.contract, 'SlippageExceeded')
+        .withArgs(ethers.parseUnits('0.1', 18), 66666666666666667n);
+    });
+
+    context('when successful', function () {
+      const pointsAmount = 10n;
+      const tokenAmount = 66666666666666667n;
+
+      beforeEach(async function () {
+        this.receipt = await this.contract['exchange(address,uint256,uint256)'](this.token, pointsAmount, tokenAmount);
+      });
+
+      it('transfers the token amount at the price feed rate', async function () {
+        await expect(this.receipt).to.emit(this.token, 'Transfer').withArgs(deployer.address, payoutWallet.address, tokenAmount);
+      });
+
+      it('deposits points to the caller', async function () {
+        await expect(this.receipt)
+          .to.emit(this.points, 'Deposited')
+          .withArgs(await this.contract.getAddress(), DEPOSIT_REASON_CODE, deployer.address, pointsAmount);
+      });
+
+      it('emits an Exchanged event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'Exchanged')
+          .withArgs(deployer.address, await this.token.getAddress(), tokenAmount, pointsAmount);
+      });
+    });
+  });
+
+  describe('getPointsAmount(address,uint256)', function () {
+    it('reverts if the token is not in the registry', async function () {
+      await expect(this.contract.getPointsAmount(this.otherToken, 1))
+        .to.be.revertedWithCustomError(this.contract, 'UnsupportedToken')
+        .withArgs(await this.otherToken.getAddress());
+    });
+
+    it('returns the amount at the fixed rate, rounded down', async function () {
+      expect(await this.contract.getPointsAmount(this.token, ethers.parseUnits('0.05', 18) - 1n)).to.equal(9n);
+    });
+
+    it('returns the amount at the price feed rate, rounded down', async function () {
+      await this.contract.connect(operator).setTokenPriceFeed(this.token, this.priceFeed, MAX_PRICE_AGE, POINTS_PER_QUOTE_UNIT);
+      expect(await this.contract.getPointsAmount(this.token, 66666666666666667n)).to.equal(10n);
+      expect(await this.contract.getPointsAmount(this.token, 66666666666666666n)).to.equal(9n);
+    });
+  });
+
+  context('with a rate not dividing the token unit', function () {
+    beforeEach(async function () {
+      // 3 Points for 1 token
+      await this.contract.connect(operator).setToken(this.token, 3n, 1n, DEPOSIT_REASON, payoutWallet.address, true);
+    });
+
+    it('rounds the token amount up', async function () {
+      expect(await this.contract.getTokenAmount(this.token, 1n)).to.equal(333333333333333334n);
+      expect(await this.contract.getTokenAmount(this.token, 2n)).to.equal(666666666666666667n);
+      expect(await this.contract.getTokenAmount(this.token, 3n)).to.equal(ethers.parseUnits('1', 18));
+    });
+
+    it('rounds the Points amount down', async function () {
+      expect(await this.contract.getPointsAmount(this.token, 333333333333333333n)).to.equal(0n);
+      expect(await this.contract.getPointsAmount(this.token, 333333333333333334n)).to.equal(1n);
+    });
+
+    it('supports fractional rates', async function () {
+      // 2.5 Points for 1 token
+      await this.contract.connect(operator).setToken(this.token, 5n, 2n, DEPOSIT_REASON, payoutWallet.address, true);
+      expect(await this.contract.getTokenAmount(this.token, 5n)).to.equal(ethers.parseUnits('2', 18));
+      expect(await this.contract.getPointsAmount(this.token, ethers.parseUnits('1', 18))).to.equal(2n);
+    });
+  });
+
+  describe('exchangeExactTokens(address,uint256,uint256)', function () {
+    it('reverts if tokenAmount is zero', async function () {
+      await expect(this.contract.exchangeExactTokens(this.token, 0, 0)).to.be.revertedWithCustomError(this.contract, 'InvalidTokenAmount');
+    });
+
+    it('reverts if the token is not in the registry', async function () {
+      await expect(this.contract.exchangeExactTokens(this.otherToken, 1, 0))
+        .to.be.revertedWithCustomError(this.contract, 'UnsupportedToken')
+        .withArgs(await this.otherToken.getAddress());
+    });
+
+    it('reverts if the token is disabled', async function () {
+      await this.contract.connect(operator).setTokenEnabled(this.token, false);
+      await expect(this.contract.exchangeExactTokens(this.token, 1, 0))
+        .to.be.revertedWithCustomError(this.contract, 'TokenDisabled')
+        .withArgs(await this.token.getAddress());
+    });
+
+    it('reverts if tokenAmount is worth less than one Point', async function () {
+      await expect(
+        this.contract.exchangeExactTokens(this.token, ethers.parseUnits('1', 18) / TOKEN_TO_POINTS_RATE - 1n, 0),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidPointsAmount');
+    });
+
+    it('reverts if the Points amount is below the minimum', async function () {
+      await expect(this.contract.exchangeExactTokens(this.token, ethers.parseUnits('0.05', 18) - 1n, 10n))
+        .to.be.revertedWithCustomError(this.contract, 'InsufficientPointsAmount')
+        .withArgs(9n, 10n);
+    });
+
+    context('when successful', function () {
+      const tokenAmount = ethers.parseUnits('0.05', 18) - 1n;
+      const pointsAmount = 9n;
+
+      beforeEach(async function () {
+        this.receipt = await this.contract.exchangeExactTokens(this.token, tokenAmount, pointsAmount);
+      });
+
+      it('transfers the exact token amount from the caller to the payout wallet', async function () {
+        await expect(this.receipt).to.emit(this.token, 'Transfer').withArgs(deployer.address, payoutWallet.address, tokenAmount);
+      });
+
+      it('deposits the Points amount rounded down to the caller', async function () {
+        await expect(this.receipt)
+          .to.emit(this.points, 'Deposited')
+          .withArgs(await this.contract.getAddress(), DEPOSIT_REASON_CODE, deployer.address, pointsAmount);
+      });
+
+      it('emits an Exchanged event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'Exchanged')
+          .withArgs(deployer.address, await this.token.getAddress(), tokenAmount, pointsAmount);
+      });
+    });
+  });
+
+  describe('exchangeWithPermit(address,uint256,uint256,uint256,uint8,bytes32,bytes32)', function () {
+    const pointsAmount = 10n;
+    const tokenAmount = ethers.parseUnits(pointsAmount.toString(), 18) / TOKEN_TO_POINTS_RATE;
+    const maxTokenAmount = tokenAmount + 1n;
+
+    beforeEach(async function () {
+      await this.token.transfer(other.address, ethers.parseUnits('1', 18));
+      this.deadline = BigInt(await time.latest()) + 100n;
+      this.permit = await signPermit(this.token, other, await this.contract.getAddress(), maxTokenAmount, this.deadline);
+    });
+
+    it('reverts if the permit is invalid and there is no allowance', async function () {
+      const {v, r, s} = this.permit;
+      await expect(this.contract.connect(other).exchangeWithPermit(this.token, pointsAmount, maxTokenAmount + 1n, this.deadline, v, r, s))
+        .to.be.revertedWithCustomError(this.token, 'ERC20InsufficientAllowance')
+        .withArgs(other.address, await this.contract.getAddress(), 0n, tokenAmount);
+    });
+
+    it('reverts if the token amount is above the maximum', async function () {
+      const {v, r, s} = this.permit;
+      await expect(this.contract.connect(other).exchangeWithPermit(this.token, pointsAmount + 1n, maxTokenAmount, this.deadline, v, r, s))
+        .to.be.revertedWithCustomError(this.contract, 'SlippageExceeded')
+        .withArgs(tokenAmount + tokenAmount / pointsAmount, maxTokenAmount);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        const {v, r, s} = this.permit;
+        this.receipt = await this.contract.connect(other).exchangeWithPermit(this.token, pointsAmount, maxTokenAmount, this.deadline, v, r, s);
+      });
+
+      it('transfers the token from the caller to the payout wallet', async function () {
+        await expect(this.receipt).to.emit(this.token, 'Transfer').withArgs(other.address, payoutWallet.address, tokenAmount);
+      });
+
+      it('leaves the remainder of the permit approved', async function () {
+        expect(await this.token.allowance(other.address, await this.contract.getAddress())).to.equal(maxTokenAmount - tokenAmount);
+      });
+
+      it('deposits points to the caller', async function () {
+        await expect(this.receipt)
+          .to.emit(this.points, 'Deposited')
+          .withArgs(await this.contract.getAddress(), DEPOSIT_REASON_CODE, other.address, pointsAmount);
+      });
+
+      it('emits an Exchanged event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'Exchanged')
+          .withArgs(other.address, await this.token.getAddress(), tokenAmount, pointsAmount);
+      });
+    });
+
+    context('when successful with a front-run permit', function () {
+      beforeEach(async function () {
+        const {v, r, s} = this.permit;
+        await this.token.permit(other.address, await this.contract.getAddress(), maxTokenAmount, this.deadline, v, r, s);
+        this.receipt = await this.contract.connect(other).exchangeWithPermit(this.token, pointsAmount, maxTokenAmount, this.deadline, v, r, s);
+      });
+
+      it('uses the existing allowance', async function () {
+        await expect(this.receipt).to.emit(this.token, 'Transfer').withArgs(other.address, payoutWallet.address, tokenAmount);
+        await expect(this.receipt)
+          .to.emit(this.contract, 'Exchanged')
+          .withArgs(other.address, await this.token.getAddress(), tokenAmount, pointsAmount);
+      });
+    });
+  });
+
+  describe('onERC20Received(address,address,uint256,bytes)', function () {
+    const tokenAmount = ethers.parseUnits('0.05', 18) - 1n;
+    const pointsAmount = 9n;
+
+    beforeEach(async function () {
+      this.safeTransfer = (token, value, minPointsAmount) =>
+        token['safeTransfer(address,uint256,bytes)'](this.contract, value, ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [minPointsAmount]));
+    });
+
+    it('reverts if the sender is not a token of the registry', async function () {
+      await expect(this.contract.onERC20Received(deployer.address, deployer.address, 1n, ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [0])))
+        .to.be.revertedWithCustomError(this.contract, 'UnsupportedToken')
+        .withArgs(deployer.address);
+    });
+
+    it('reverts if the data is not an abi-encoded uint256', async function () {
+      await expect(this.token['safeTransfer(address,uint256,bytes)'](this.contract, tokenAmount, '0x01')).to.be.revertedWithCustomError(
+        this.contract,
+        'InvalidReceivedData',
+      );
+    });
+
+    it('reverts if the token is disabled', async function () {
+      await this.contract.connect(operator).setTokenEnabled(this.token, false);
+      await expect(this.safeTransfer(this.token, tokenAmount, 0))
+        .to.be.revertedWithCustomError(this.contract, 'TokenDisabled')
+        .withArgs(await this.token.getAddress());
+    });
+
+    it('reverts if the Points amount is below the minimum', async function () {
+      await expect(this.safeTransfer(this.token, tokenAmount, pointsAmount + 1n))
+        .to.be.revertedWithCustomError(this.contract, 'InsufficientPointsAmount')
+        .withArgs(pointsAmount, pointsAmount + 1n);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.safeTransfer(this.token, tokenAmount, pointsAmount);
+      });
+
+      it('forwards the received tokens to the payout wallet', async function () {
+        await expect(this.receipt)
+          .to.emit(this.token, 'Transfer')
+          .withArgs(await this.contract.getAddress(), payoutWallet.address, tokenAmount);
+        expect(await this.token.balanceOf(await this.contract.getAddress())).to.equal(0n);
+      });
+
+      it('deposits points to the previous tokens owner', async function () {
+        await expect(this.receipt)
+          .to.emit(this.points, 'Deposited')
+          .withArgs(await this.contract.getAddress(), DEPOSIT_REASON_CODE, deployer.address, pointsAmount);
       });
+
       it('emits an Exchanged event', async function () {
-        await expect(this.receipt).to.emit(this.contract, 'Exchanged').withArgs(deployer.address, tokenAmount, pointsAmount);
+        await expect(this.receipt)
+          .to.emit(this.contract, 'Exchanged')
+          .withArgs(deployer.address, await this.token.getAddress(), tokenAmount, pointsAmount);
+      });
+    });
+
+    it('exchanges without a minimum Points amount when the data is empty', async function () {
+      await expect(this.token['safeTransfer(address,uint256,bytes)'](this.contract, tokenAmount, '0x'))
+        .to.emit(this.contract, 'Exchanged')
+        .withArgs(deployer.address, await this.token.getAddress(), tokenAmount, pointsAmount);
+    });
+  });
+
+  describe('setExchangeCaps(uint256,uint256,uint256)', function () {
+    it('reverts if the sender is not an operator', async function () {
+      await expect(this.contract.connect(other).setExchangeCaps(1n, 2n, 3n))
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.OPERATOR_ROLE(), other.address);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.contract.connect(operator).setExchangeCaps(1n, 2n, 3n);
+      });
+
+      it('sets the exchange caps', async function () {
+        const caps = await this.contract.exchangeCaps();
+        expect(caps.userDailyCap).to.equal(1n);
+        expect(caps.userTotalCap).to.equal(2n);
+        expect(caps.supplyCap).to.equal(3n);
+      });
+
+      it('emits an ExchangeCapsSet event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'ExchangeCapsSet').withArgs(1n, 2n, 3n);
+      });
+    });
+  });
+
+  describe('getUserRemainingCaps(address) and getRemainingSupply()', function () {
+    it('returns the maximum value when unlimited', async function () {
+      expect(await this.contract.getUserRemainingCaps(deployer.address)).to.deep.equal([ethers.MaxUint256, ethers.MaxUint256]);
+      expect(await this.contract.getRemainingSupply()).to.equal(ethers.MaxUint256);
+    });
+
+    it('returns the remaining amounts', async function () {
+      await this.contract.connect(operator).setExchangeCaps(100n, 1000n, 10000n);
+      await this.contract['exchange(address,uint256)'](this.token, 30n);
+      expect(await this.contract.getUserRemainingCaps(deployer.address)).to.deep.equal([70n, 970n]);
+      expect(await this.contract.getUserRemainingCaps(other.address)).to.deep.equal([100n, 1000n]);
+      expect(await this.contract.getRemainingSupply()).to.equal(9970n);
+    });
+
+    it('returns zero when a lowered cap is already exceeded', async function () {
+      await this.contract['exchange(address,uint256)'](this.token, 30n);
+      await this.contract.connect(operator).setExchangeCaps(10n, 10n, 10n);
+      expect(await this.contract.getUserRemainingCaps(deployer.address)).to.deep.equal([0n, 0n]);
+      expect(await this.contract.getRemainingSupply()).to.equal(0n);
+    });
+  });
+
+  context('with exchange caps', function () {
+    beforeEach(async function () {
+      await this.contract.connect(operator).setExchangeCaps(100n, 150n, 240n);
+      await this.token.transfer(other.address, ethers.parseUnits('10', 18));
+      await this.token.connect(other).approve(await this.contract.getAddress(), ethers.MaxUint256);
+    });
+
+    it('reverts if the exchange exceeds the daily cap of the user', async function () {
+      await this.contract['exchange(address,uint256)'](this.token, 60n);
+      await expect(this.contract['exchange(address,uint256)'](this.token, 41n))
+        .to.be.revertedWithCustomError(this.contract, 'UserDailyCapExceeded')
+        .withArgs(deployer.address, 40n, 41n);
+    });
+
+    it('resets the daily cap of the user every day', async function () {
+      await this.contract['exchange(address,uint256)'](this.token, 100n);
+      await time.increase(86400);
+      await this.contract['exchange(address,uint256)'](this.token, 50n);
+      expect(await this.contract.userExchangedPoints(deployer.address)).to.equal(150n);
+    });
+
+    it('reverts if the exchange exceeds the lifetime cap of the user', async function () {
+      await this.contract['exchange(address,uint256)'](this.token, 100n);
+      await time.increase(86400);
+      await expect(this.contract['exchange(address,uint256)'](this.token, 51n))
+        .to.be.revertedWithCustomError(this.contract, 'UserTotalCapExceeded')
+        .withArgs(deployer.address, 50n, 51n);
+    });
+
+    it('reverts if the exchange exceeds the supply cap', async function () {
+      await this.contract['exchange(address,uint256)'](this.token, 100n);
+      await this.contract.connect(other)['exchange(address,uint256)'](this.token, 100n);
+      await time.increase(86400);
+      await expect(this.contract.connect(other)['exchange(address,uint256)'](this.token, 41n))
+        .to.be.revertedWithCustomError(this.contract, 'SupplyCapExceeded')
+        .withArgs(40n, 41n);
+    });
+
+    it('applies the caps to the exact input exchanges', async function () {
+      await expect(this.contract.exchangeExactTokens(this.token, ethers.parseUnits('1', 18), 0))
+        .to.be.revertedWithCustomError(this.contract, 'UserDailyCapExceeded')
+        .withArgs(deployer.address, 100n, 200n);
+    });
+  });
+
+  describe('setBonusTiers((uint256,uint256)[],string)', function () {
+    const bonusTiers = [
+      {minPointsAmount: 1000n, bonusBps: 200n},
+      {minPointsAmount: 10000n, bonusBps: 500n},
+    ];
+
+    it('reverts if the sender is not an operator', async function () {
+      await expect(this.contract.connect(other).setBonusTiers(bonusTiers, 'Bonus'))
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.OPERATOR_ROLE(), other.address);
+    });
+
+    it('reverts if the tiers are not sorted by strictly increasing minimum Points amount', async function () {
+      await expect(this.contract.connect(operator).setBonusTiers([bonusTiers[1], bonusTiers[0]], 'Bonus'))
+        .to.be.revertedWithCustomError(this.contract, 'InvalidBonusTier')
+        .withArgs(1n);
+      await expect(this.contract.connect(operator).setBonusTiers([bonusTiers[0], bonusTiers[0]], 'Bonus'))
+        .to.be.revertedWithCustomError(this.contract, 'InvalidBonusTier')
+        .withArgs(1n);
+    });
+
+    it('reverts if a bonus is zero', async function () {
+      await expect(this.contract.connect(operator).setBonusTiers([{minPointsAmount: 1n, bonusBps: 0n}], 'Bonus'))
+        .to.be.revertedWithCustomError(this.contract, 'InvalidBonusTier')
+        .withArgs(0n);
+    });
+
+    it('reverts if a bonus is above 100%', async function () {
+      await expect(this.contract.connect(operator).setBonusTiers([{minPointsAmount: 1n, bonusBps: 10001n}], 'Bonus'))
+        .to.be.revertedWithCustomError(this.contract, 'InvalidBonusTier')
+        .withArgs(0n);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.contract.connect(operator).setBonusTiers(bonusTiers, 'Bonus');
+      });
+
+      it('sets the bonus tiers', async function () {
+        expect(await this.contract.getBonusTiers()).to.deep.equal([
+          [1000n, 200n],
+          [10000n, 500n],
+        ]);
+      });
+
+      it('sets the bonus deposit reason', async function () {
+        expect(await this.contract.bonusDepositReason()).to.equal(ethers.keccak256(ethers.toUtf8Bytes('Bonus')));
+      });
+
+      it('emits a BonusTiersSet event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'BonusTiersSet')
+          .withArgs(
+            [
+              [1000n, 200n],
+              [10000n, 500n],
+            ],
+            ethers.keccak256(ethers.toUtf8Bytes('Bonus')),
+          );
+      });
+
+      it('replaces the previous tiers', async function () {
+        await this.contract.connect(operator).setBonusTiers([], 'Bonus');
+        expect(await this.contract.getBonusTiers()).to.deep.equal([]);
+        expect(await this.contract.getBonusPointsAmount(20000n)).to.equal(0n);
       });
     });
   });
 
+  context('with bonus tiers', function () {
+    const BONUS_REASON_CODE = ethers.keccak256(ethers.toUtf8Bytes('Bonus'));
+
+    beforeEach(async function () {
+      await this.contract.connect(operator).setBonusTiers(
+        [
+          {minPointsAmount: 1000n, bonusBps: 200n},
+          {minPointsAmount: 10000n, bonusBps: 500n},
+        ],
+        'Bonus',
+      );
+    });
+
+    it('returns the bonus of the highest applicable tier', async function () {
+      expect(await this.contract.getBonusPointsAmount(999n)).to.equal(0n);
+      expect(await this.contract.getBonusPointsAmount(1000n)).to.equal(20n);
+      expect(await this.contract.getBonusPointsAmount(9999n)).to.equal(199n);
+      expect(await this.contract.getBonusPointsAmount(10000n)).to.equal(500n);
+    });
+
+    it('does not deposit a bonus below the first tier', async function () {
+      await expect(this.contract['exchange(address,uint256)'](this.token, 999n)).to.not.emit(this.contract, 'BonusDeposited');
+    });
+
+    it('counts the bonus in the supply cap but not in the user caps', async function () {
+      await this.contract.connect(operator).setExchangeCaps(10000n, 10000n, 10499n);
+      await expect(this.contract['exchange(address,uint256)'](this.token, 10000n))
+        .to.be.revertedWithCustomError(this.contract, 'SupplyCapExceeded')
+        .withArgs(10499n, 10500n);
+      await this.contract.connect(operator).setExchangeCaps(10000n, 10000n, 10500n);
+      await this.contract['exchange(address,uint256)'](this.token, 10000n);
+      expect(await this.contract.totalDepositedPoints()).to.equal(10500n);
+      expect(await this.contract.userExchangedPoints(deployer.address)).to.equal(10000n);
+    });
+
+    context('when exchanging above a tier', function () {
+      beforeEach(async function () {
+        this.receipt = await this.contract['exchange(address,uint256)'](this.token, 10000n);
+      });
+
+      it('deposits the purchased points', async function () {
+        await expect(this.receipt)
+          .to.emit(this.points, 'Deposited')
+          .withArgs(await this.contract.getAddress(), DEPOSIT_REASON_CODE, deployer.address, 10000n);
+      });
+
+      it('deposits the bonus points with the bonus reason code', async function () {
+        await expect(this.receipt)
+          .to.emit(this.points, 'Deposited')
+          .withArgs(await this.contract.getAddress(), BONUS_REASON_CODE, deployer.address, 500n);
+        expect(await this.points.balances(deployer.address)).to.equal(10500n);
+      });
+
+      it('emits a BonusDeposited event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'BonusDeposited').withArgs(deployer.address, 10000n, 500n);
+      });
+    });
+  });
+
+  context('when paused', function () {
+    beforeEach(async function () {
+      await this.contract.pause();
+    });
+
+    it('reverts on exchange', async function () {
+      await expect(this.contract['exchange(address,uint256)'](this.token, 1n)).to.be.revertedWithCustomError(this.contract, 'Paused');
+    });
+
+    it('reverts on exact input exchange', async function () {
+      await expect(this.contract.exchangeExactTokens(this.token, ethers.parseUnits('1', 18), 0)).to.be.revertedWithCustomError(
+        this.contract,
+        'Paused',
+      );
+    });
+
+    it('reverts on safe transfer exchange', async function () {
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [0]);
+      await expect(this.token['safeTransfer(address,uint256,bytes)'](this.contract, ethers.parseUnits('1', 18), data)).to.be.revertedWithCustomError(
+        this.contract,
+        'Paused',
+      );
+    });
+
+    it('allows exchanges once unpaused', async function () {
+      await this.contract.unpause();
+      await expect(this.contract['exchange(address,uint256)'](this.token, 1n)).to.emit(this.contract, 'Exchanged');
+    });
+  });
+
+  describe('setRefundConfig(uint64,address)', function () {
+    it('reverts if the sender is not an operator', async function () {
+      await expect(this.contract.connect(other).setRefundConfig(3600n, payoutWallet.address))
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.OPERATOR_ROLE(), other.address);
+    });
+
+    it('reverts if the refund reserve is the zero address', async function () {
+      await expect(this.contract.connect(operator).setRefundConfig(3600n, ethers.ZeroAddress)).to.be.revertedWithCustomError(
+        this.contract,
+        'InvalidRefundReserve',
+      );
+    });
+
+    it('allows disabling the refunds', async function () {
+      await this.contract.connect(operator).setRefundConfig(3600n, payoutWallet.address);
+      await expect(this.contract.connect(operator).setRefundConfig(0n, ethers.ZeroAddress))
+        .to.emit(this.contract, 'RefundConfigSet')
+        .withArgs(0n, ethers.ZeroAddress);
+      expect(await this.contract.refundWindow()).to.equal(0n);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.contract.connect(operator).setRefundConfig(3600n, payoutWallet.address);
+      });
+
+      it('sets the refund window and the refund reserve', async function () {
+        expect(await this.contract.refundWindow()).to.equal(3600n);
+        expect(await this.contract.refundReserve()).to.equal(payoutWallet.address);
+      });
+
+      it('emits a RefundConfigSet event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'RefundConfigSet').withArgs(3600n, payoutWallet.address);
+      });
+    });
+  });
+
+  describe('receipts(uint256)', function () {
+    it('does not issue a receipt when refunds are disabled', async function () {
+      await expect(this.contract['exchange(address,uint256)'](this.token, 10n)).to.not.emit(this.contract, 'ReceiptIssued');
+      expect(await this.contract.lastReceiptId()).to.equal(0n);
+      expect((await this.contract.receipts(1n)).user).to.equal(ethers.ZeroAddress);
+    });
+
+    context('when refunds are enabled', function () {
+      beforeEach(async function () {
+        await this.contract.connect(operator).setRefundConfig(3600n, payoutWallet.address);
+      });
+
+      it('records a refundable receipt', async function () {
+        const tokenAmount = ethers.parseUnits('10', 18) / TOKEN_TO_POINTS_RATE;
+        const receipt = await this.contract['exchange(address,uint256)'](this.token, 10n);
+        const timestamp = BigInt(await time.latest());
+        await expect(receipt)
+          .to.emit(this.contract, 'ReceiptIssued')
+          .withArgs(1n, deployer.address, await this.token.getAddress(), timestamp + 3600n);
+        const receiptInfo = await this.contract.receipts(1n);
+        expect(receiptInfo.user).to.equal(deployer.address);
+        expect(receiptInfo.timestamp).to.equal(timestamp);
+        expect(receiptInfo.token).to.equal(await this.token.getAddress());
+        expect(receiptInfo.refundDeadline).to.equal(timestamp + 3600n);
+        expect(receiptInfo.refunded).to.equal(false);
+        expect(receiptInfo.tokenAmount).to.equal(tokenAmount);
+        expect(receiptInfo.pointsAmount).to.equal(10n);
+        expect(receiptInfo.bonusPointsAmount).to.equal(0n);
+      });
+
+      it('increments the receipt identifiers', async function () {
+        await this.contract['exchange(address,uint256)'](this.token, 10n);
+        await expect(this.contract.exchangeExactTokens(this.token, ethers.parseUnits('1', 18), 0)).to.emit(this.contract, 'ReceiptIssued');
+        expect(await this.contract.lastReceiptId()).to.equal(2n);
+      });
+    });
+  });
+
+  describe('refund(uint256)', function () {
+    const REFUND_WINDOW = 3600n;
+    const pointsAmount = 10n;
+    const tokenAmount = ethers.parseUnits(pointsAmount.toString(), 18) / TOKEN_TO_POINTS_RATE;
+
+    beforeEach(async function () {
+      await this.token.transfer(other.address, ethers.parseUnits('1', 18));
+      await this.token.connect(other).approve(await this.contract.getAddress(), ethers.MaxUint256);
+      await this.token.connect(payoutWallet).approve(await this.contract.getAddress(), ethers.MaxUint256);
+      await this.points.connect(other).approve(await this.contract.getAddress(), ethers.MaxUint256);
+      await this.contract.connect(operator).setRefundConfig(REFUND_WINDOW, payoutWallet.address);
+      await this.contract.connect(other)['exchange(address,uint256)'](this.token, pointsAmount);
+      this.refundDeadline = BigInt(await time.latest()) + REFUND_WINDOW;
+    });
+
+    it('reverts if the sender is not the user of the receipt', async function () {
+      await expect(this.contract.connect(operator).refund(1n))
+        .to.be.revertedWithCustomError(this.contract, 'NotReceiptUser')
+        .withArgs(1n, operator.address);
+    });
+
+    it('reverts if the contract is paused', async function () {
+      await this.contract.pause();
+      await expect(this.contract.connect(other).refund(1n)).to.be.revertedWithCustomError(this.contract, 'Paused');
+    });
+
+    it('reverts if the receipt does not exist', async function () {
+      await expect(this.contract.connect(other).refund(2n)).to.be.revertedWithCustomError(this.contract, 'NonexistentReceipt').withArgs(2n);
+    });
+
+    it('reverts if the refund window has passed', async function () {
+      await time.increase(REFUND_WINDOW + 1n);
+      await expect(this.contract.connect(other).refund(1n))
+        .to.be.revertedWithCustomError(this.contract, 'RefundWindowClosed')
+        .withArgs(1n, this.refundDeadline);
+    });
+
+    it('reverts for an exchange made while refunds were disabled', async function () {
+      await this.contract.connect(operator).setRefundConfig(0n, ethers.ZeroAddress);
+      await this.contract.connect(other)['exchange(address,uint256)'](this.token, pointsAmount);
+      await expect(this.contract.connect(other).refund(2n)).to.be.revertedWithCustomError(this.contract, 'NonexistentReceipt').withArgs(2n);
+    });
+
+    it('reverts if the refund reserve is not set', async function () {
+      await this.contract.connect(operator).setRefundConfig(0n, ethers.ZeroAddress);
+      await expect(this.contract.connect(other).refund(1n)).to.be.revertedWithCustomError(this.contract, 'InvalidRefundReserve');
+    });
+
+    it('reverts if the Points have been spent', async function () {
+      await this.points.connect(other).spendFrom(other.address, 1n);
+      await expect(this.contract.connect(other).refund(1n))
+        .to.be.revertedWithCustomError(this.points, 'InsufficientBalance')
+        .withArgs(other.address, pointsAmount - 1n, pointsAmount);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.contract.connect(other).refund(1n);
+      });
+
+      it('spends the Points of the user', async function () {
+        await expect(this.receipt)
+          .to.emit(this.points, 'Spent')
+          .withArgs(await this.contract.getAddress(), other.address, pointsAmount);
+        expect(await this.points.balances(other.address)).to.equal(0n);
+      });
+
+      it('transfers the tokens from the refund reserve to the user', async function () {
+        await expect(this.receipt).to.emit(this.token, 'Transfer').withArgs(payoutWallet.address, other.address, tokenAmount);
+      });
+
+      it('marks the receipt as refunded', async function () {
+        expect((await this.contract.receipts(1n)).refunded).to.equal(true);
+        await expect(this.contract.connect(other).refund(1n)).to.be.revertedWithCustomError(this.contract, 'ReceiptAlreadyRefunded').withArgs(1n);
+      });
+
+      it('releases the exchange caps', async function () {
+        expect(await this.contract.userExchangedPoints(other.address)).to.equal(0n);
+        expect(await this.contract.userDailyExchangedPoints(other.address, BigInt(await time.latest()) / 86400n)).to.equal(0n);
+        expect(await this.contract.totalDepositedPoints()).to.equal(0n);
+      });
+
+      it('emits a Refunded event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'Refunded')
+          .withArgs(1n, other.address, await this.token.getAddress(), tokenAmount, pointsAmount);
+      });
+    });
+
+    context('when successful with bonus Points', function () {
+      beforeEach(async function () {
+        await this.contract.connect(operator).setBonusTiers([{minPointsAmount: 10n, bonusBps: 1000n}], 'Bonus');
+        await this.contract.connect(other)['exchange(address,uint256)'](this.token, 20n);
+        this.receipt = await this.contract.connect(other).refund(2n);
+      });
+
+      it('spends the purchased and the bonus Points', async function () {
+        await expect(this.receipt)
+          .to.emit(this.points, 'Spent')
+          .withArgs(await this.contract.getAddress(), other.address, 22n);
+        expect(await this.points.balances(other.address)).to.equal(pointsAmount);
+      });
+
+      it('emits a Refunded event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'Refunded')
+          .withArgs(2n, other.address, await this.token.getAddress(), tokenAmount * 2n, 22n);
+      });
+    });
+  });
+
+  describe('forceRefund(uint256)', function () {
+    const pointsAmount = 10n;
+    const tokenAmount = ethers.parseUnits(pointsAmount.toString(), 18) / TOKEN_TO_POINTS_RATE;
+
+    beforeEach(async function () {
+      await this.token.transfer(other.address, ethers.parseUnits('1', 18));
+      await this.token.connect(other).approve(await this.contract.getAddress(), ethers.MaxUint256);
+      await this.token.connect(payoutWallet).approve(await this.contract.getAddress(), ethers.MaxUint256);
+      await this.points.connect(other).approve(await this.contract.getAddress(), ethers.MaxUint256);
+      await this.contract.connect(operator).setRefundConfig(3600n, payoutWallet.address);
+      await this.contract.connect(other)['exchange(address,uint256)'](this.token, pointsAmount);
+    });
+
+    it('reverts if the sender is not an operator', async function () {
+      await expect(this.contract.connect(other).forceRefund(1n))
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.OPERATOR_ROLE(), other.address);
+    });
+
+    it('reverts if the receipt does not exist', async function () {
+      await expect(this.contract.connect(operator).forceRefund(2n)).to.be.revertedWithCustomError(this.contract, 'NonexistentReceipt').withArgs(2n);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.contract.connect(operator).forceRefund(1n);
+      });
+
+      it('spends the Points of the user', async function () {
+        await expect(this.receipt)
+          .to.emit(this.points, 'Spent')
+          .withArgs(await this.contract.getAddress(), other.address, pointsAmount);
+      });
+
+      it('transfers the tokens from the refund reserve to the user', async function () {
+        await expect(this.receipt).to.emit(this.token, 'Transfer').withArgs(payoutWallet.address, other.address, tokenAmount);
+      });
+
+      it('marks the receipt as refunded', async function () {
+        await expect(this.contract.connect(other).refund(1n)).to.be.revertedWithCustomError(this.contract, 'ReceiptAlreadyRefunded').withArgs(1n);
+      });
+
+      it('emits a Refunded event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'Refunded')
+          .withArgs(1n, other.address, await this.token.getAddress(), tokenAmount, pointsAmount);
+      });
+    });
+  });
+
+  describe('supportsInterface(bytes4)', function () {
+    it('supports the ERC20Receiver interface', async function () {
+      expect(await this.contract.supportsInterface('0x4fc35859')).to.equal(true);
+    });
+  });
+
   describe('__msgData()', function () {
     it('returns the msg.data', async function () {
       await this.contract.__msgData();
@@ -0,0 +1,340 @@
+const {execFileSync} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {ethers} = require('hardhat');
+const {expect} = require('chai');
+const {getForwarderRegistryAddress} = require('@animoca/ethereum-contracts/test/helpers/registries');
+const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
+const {deployContract} = require('@animoca/ethereum-contract-helpers/src/test/deploy');
+const {
+  encodeLeaf,
+  hashLeaf,
+  parsePayoutsCsv,
+  parsePayoutsJson,
+  loadPayouts,
+  buildDistribution,
+  toManifest,
+  writeManifest,
+} = require('../../../src/claim/PointsMerkleClaimV2');
+
+describe('PointsMerkleClaimV2 distribution builder', function () {
+  let holder1, holder2, holder3;
+
+  const depositReasonCode = ethers.encodeBytes32String('PAYOUT');
+  const distributionId = ethers.encodeBytes32String('week-1');
+  const deadline = 9999999999n;
+
+  before(async function () {
+    [, holder1, holder2, holder3] = await ethers.getSigners();
+    this.defaults = {depositReasonCode, distributionId, deadline};
+  });
+
+  describe('encodeLeaf(payout)', function () {
+    it('uses the packed encoding of the contract leaf', function () {
+      const payout = {holder: holder1.address, amount: 10n, depositReasonCode, deadline, distributionId};
+      expect(encodeLeaf(payout)).to.equal(
+        ethers.solidityPacked(
+          ['address', 'uint256', 'bytes32', 'uint256', 'bytes32'],
+          [holder1.address, 10n, depositReasonCode, deadline, distributionId],
+        ),
+      );
+      expect(hashLeaf(payout)).to.equal(ethers.keccak256(encodeLeaf(payout)));
+    });
+
+    it('prepends the index for an indexed payout', function () {
+      const payout = {index: 3, holder: holder1.address, amount: 10n, depositReasonCode, deadline, distributionId};
+      expect(encodeLeaf(payout)).to.equal(
+        ethers.solidityPacked(
+          ['uint256', 'address', 'uint256', 'bytes32', 'uint256', 'bytes32'],
+          [3, holder1.address, 10n, depositReasonCode, deadline, distributionId],
+        ),
+      );
+    });
+  });
+
+  describe('parsePayoutsCsv(content)', function () {
+    it('parses the rows according to the header', function () {
+      const payouts = parsePayoutsCsv(`holder,amount\n${holder1.address},10\n\n${holder2.address}, 20\n`);
+      expect(payouts).to.deep.equal([
+        {holder: holder1.address, amount: '10'},
+        {holder: holder2.address, amount: '20'},
+      ]);
+    });
+
+    it('throws on an unknown column', function () {
+      expect(() => parsePayoutsCsv(`holder,value\n${holder1.address},10`)).to.throw('Unknown CSV column value');
+    });
+
+    it('throws on a row with a wrong number of values', function () {
+      expect(() => parsePayoutsCsv(`holder,amount\n${holder1.address}`)).to.throw('CSV line 2: expected 2 values, got 1');
+    });
+  });
+
+  describe('parsePayoutsJson(content)', function () {
+    it('parses an array of payouts', function () {
+      expect(parsePayoutsJson(JSON.stringify([{holder: holder1.address, amount: '10'}]))).to.deep.equal([{holder: holder1.address, amount: '10'}]);
+    });
+
+    it('parses an object with a payouts array', function () {
+      expect(parsePayoutsJson(JSON.stringify({payouts: [{holder: holder1.address, amount: '10'}]}))).to.deep.equal([
+        {holder: holder1.address, amount: '10'},
+      ]);
+    });
+
+    it('throws if there is no payouts array', function () {
+      expect(() => parsePayoutsJson('{}')).to.throw('JSON payout list must be an array or an object with a payouts array');
+    });
+  });
+
+  describe('buildDistribution(payouts,defaults)', function () {
+    it('throws on an empty payout list', function () {
+      expect(() => buildDistribution([], this.defaults)).to.throw('Empty payout list');
+    });
+
+    it('throws on a zero amount', function () {
+      expect(() => buildDistribution([{holder: holder1.address, amount: 0}], this.defaults)).to.throw('Payout #1: invalid amount 0');
+    });
+
+    it('throws on an amount number which is not a safe integer', function () {
+      const payouts = JSON.parse(`[{"holder": "${holder1.address}", "amount": 1234567890123456789}]`);
+      expect(() => buildDistribution(payouts, this.defaults)).to.throw(
+        'Payout #1: amount 1234567890123456800 is not a safe integer, provide it as a decimal string',
+      );
+    });
+
+    it('throws on a deadline number which is not a safe integer', function () {
+      expect(() => buildDistribution([{holder: holder1.address, amount: 1, deadline: 1.5}], this.defaults)).to.throw(
+        'Payout #1: deadline 1.5 is not a safe integer, provide it as a decimal string',
+      );
+    });
+
+    it('throws on an amount which is not a decimal integer', function () {
+      expect(() => buildDistribution([{holder: holder1.address, amount: '1e3'}], this.defaults)).to.throw('Payout #1: invalid amount 1e3');
+    });
+
+    it('keeps the precision of large decimal string amounts', function () {
+      const payouts = parsePayoutsJson(`[{"holder": "${holder1.address}", "amount": "1234567890123456789"}]`);
+      const distribution = buildDistribution(payouts, this.defaults);
+      expect(distribution.claims[0].amount).to.equal(1234567890123456789n);
+      expect(distribution.totalAmount).to.equal(1234567890123456789n);
+    });
+
+    it('throws on a missing field', function () {
+      expect(() => buildDistribution([{holder: holder1.address, amount: 1}])).to.throw('Payout #1: missing depositReasonCode');
+    });
+
+    it('throws on an invalid holder', function () {
+      expect(() => buildDistribution([{holder: '0x1234', amount: 1}], this.defaults)).to.throw('Payout #1: invalid holder 0x1234');
+    });
+
+    it('throws on an invalid reason code', function () {
+      expect(() => buildDistribution([{holder: holder1.address, amount: 1, depositReasonCode: '0x01'}], this.defaults)).to.throw(
+        'Payout #1: invalid depositReasonCode 0x01',
+      );
+    });
+
+    it('throws on a duplicate leaf', function () {
+      expect(() =>
+        buildDistribution(
+          [
+            {holder: holder1.address, amount: 1},
+            {holder: holder2.address, amount: 1},
+            {holder: holder1.address.toLowerCase(), amount: '1'},
+          ],
+          this.defaults,
+        ),
+      ).to.throw('Payout #3: duplicate of payout #1');
+    });
+
+    it('returns the total amount and one claim per payout', function () {
+      const distribution = buildDistribution(
+        [
+          {holder: holder1.address, amount: 1},
+          {holder: holder2.address, amount: '2'},
+          {holder: holder1.address, amount: 3, depositReasonCode: ethers.encodeBytes32String('OTHER')},
+        ],
+        this.defaults,
+      );
+      expect(distribution.totalAmount).to.equal(6n);
+      expect(distribution.claims.length).to.equal(3);
+      expect(distribution.claims[1].amount).to.equal(2n);
+      expect(distribution.claims[1].leaf).to.equal(hashLeaf(distribution.claims[1]));
+      expect(distribution.claims[1].index).to.equal(undefined);
+      expect(distribution.indexed).to.equal(false);
+    });
+
+    it('assigns the indexes for an indexed distribution', function () {
+      const distribution = buildDistribution(
+        [
+          {holder: holder1.address, amount: 1},
+          {holder: holder2.address, amount: 2},
+        ],
+        this.defaults,
+        {indexed: true},
+      );
+      expect(distribution.indexed).to.equal(true);
+      expect(distribution.claims.map((claim) => claim.index)).to.deep.equal([0, 1]);
+      expect(distribution.claims[1].leaf).to.equal(hashLeaf(distribution.claims[1]));
+    });
+
+    it('throws on a duplicate payout for an indexed distribution', function () {
+      expect(() =>
+        buildDistribution(
+          [
+            {holder: holder1.address, amount: 1},
+            {holder: holder1.address, amount: 1},
+          ],
+          this.defaults,
+          {indexed: true},
+        ),
+      ).to.throw('Payout #2: duplicate of payout #1');
+    });
+  });
+
+  describe('toManifest(distribution)', function () {
+    it('groups the claims by holder', function () {
+      const distribution = buildDistribution(
+        [
+          {holder: holder1.address, amount: 1},
+          {holder: holder2.address, amount: 2},
+          {holder: holder1.address, amount: 3},
+        ],
+        this.defaults,
+      );
+      const manifest = toManifest(distribution);
+      expect(manifest.root).to.equal(distribution.root);
+      expect(manifest.indexed).to.equal(false);
+      expect(manifest.totalAmount).to.equal('6');
+      expect(manifest.claimsCount).to.equal(3);
+      expect(manifest.holders[holder1.address].map((claim) => claim.amount)).to.deep.equal(['1', '3']);
+      expect(manifest.holders[holder2.address][0].proof).to.deep.equal(distribution.claims[1].proof);
+    });
+  });
+
+  describe('loadPayouts(filePath) and writeManifest(distribution,filePath)', function () {
+    beforeEach(function () {
+      this.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'distribution-'));
+    });
+
+    afterEach(function () {
+      fs.rmSync(this.directory, {recursive: true, force: true});
+    });
+
+    it('loads a CSV file', function () {
+      const filePath = path.join(this.directory, 'payouts.csv');
+      fs.writeFileSync(filePath, `holder,amount\n${holder1.address},10\n`);
+      expect(loadPayouts(filePath)).to.deep.equal([{holder: holder1.address, amount: '10'}]);
+    });
+
+    it('loads a JSON file', function () {
+      const filePath = path.join(this.directory, 'payouts.json');
+      fs.writeFileSync(filePath, JSON.stringify([{holder: holder1.address, amount: '10'}]));
+      expect(loadPayouts(filePath)).to.deep.equal([{holder: holder1.address, amount: '10'}]);
+    });
+
+    it('throws on an unsupported format', function () {
+      const filePath = path.join(this.directory, 'payouts.txt');
+      fs.writeFileSync(filePath, '');
+      expect(() => loadPayouts(filePath)).to.throw(`Unsupported payout list format ${filePath}`);
+    });
+
+    it('writes the manifest file', function () {
+      const distribution = buildDistribution([{holder: holder1.address, amount: 10}], this.defaults);
+      const filePath = path.join(this.directory, 'out', 'manifest.json');
+      const manifest = writeManifest(distribution, filePath);
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).to.deep.equal(manifest);
+    });
+
+    it('writes the manifest of a payout file from the command line', function () {
+      const payoutsPath = path.join(this.directory, 'payouts.csv');
+      const manifestPath = path.join(this.directory, 'manifest.json');
+      fs.writeFileSync(payoutsPath, `holder,amount\n${holder1.address},10\n${holder2.address},20\n`);
+      const output = execFileSync(process.execPath, [
+        path.join(__dirname, '../../../bin/points-merkle-claim-v2-manifest.js'),
+        payoutsPath,
+        manifestPath,
+        '--deposit-reason-code',
+        depositReasonCode,
+        '--deadline',
+        deadline.toString(),
+        '--distribution-id',
+        distributionId,
+      ]).toString();
+      const distribution = buildDistribution(loadPayouts(payoutsPath), this.defaults);
+      expect(output).to.include(`root: ${distribution.root}`);
+      expect(JSON.parse(fs.readFileSync(manifestPath, 'utf8'))).to.deep.equal(toManifest(distribution));
+    });
+  });
+
+  context('with the PointsMerkleClaimV2 contract', function () {
+    const fixture = async function () {
+      this.points = await deployContract('PointsV2', await getForwarderRegistryAddress());
+      this.contract = await deployContract('PointsMerkleClaimV2', await this.points.getAddress());
+      await this.points.grantRole(await this.points.DEPOSITOR_ROLE(), await this.contract.getAddress());
+      this.distribution = buildDistribution(
+        [
+          {holder: holder1.address, amount: 100},
+          {holder: holder2.address, amount: 200},
+          {holder: holder3.address, amount: 300},
+          {holder: holder1.address, amount: 400, distributionId: ethers.encodeBytes32String('week-2')},
+        ],
+        this.defaults,
+      );
+      await this.contract.activateMerkleRoot(this.distribution.root);
+    };
+
+    beforeEach(async function () {
+      await loadFixture(fixture, this);
+    });
+
+    it('produces proofs accepted by the contract', async function () {
+      for (const claim of this.distribution.claims) {
+        await expect(
+          this.contract.claim(
+            this.distribution.root,
+            claim.holder,
+            claim.amount,
+            claim.depositReasonCode,
+            claim.deadline,
+            claim.distributionId,
+            claim.proof,
+          ),
+        )
+          .to.emit(this.contract, 'PayoutClaimed')
+          .withArgs(this.distribution.root, claim.holder, claim.depositReasonCode, claim.amount, claim.deadline, claim.distributionId);
+        expect(await this.contract.claimed(claim.leaf)).to.equal(true);
+      }
+      expect(await this.points.balances(holder1.address)).to.equal(500);
+      expect(await this.points.balances(holder2.address)).to.equal(200);
+      expect(await this.points.balances(holder3.address)).to.equal(300);
+    });
+
+    it('produces indexed proofs accepted by the contract', async function () {
+      const distribution = buildDistribution(
+        [
+          {holder: holder1.address, amount: 100},
+          {holder: holder2.address, amount: 200},
+        ],
+        this.defaults,
+        {indexed: true},
+      );
+      await this.contract.activateIndexedMerkleRoot(distribution.root, '', 0, 0, distribution.totalAmount, 0);
+      for (const claim of distribution.claims) {
+        await this.contract.claimIndexed({
+          root: distribution.root,
+          index: claim.index,
+          holder: claim.holder,
+          amount: claim.amount,
+          depositReasonCode: claim.depositReasonCode,
+          deadline: claim.deadline,
+          distributionId: claim.distributionId,
+          proof: claim.proof,
+        });
+        expect(await this.contract.isClaimed(distribution.root, claim.index)).to.equal(true);
+      }
+      expect(await this.points.balances(holder1.address)).to.equal(100);
+      expect(await this.points.balances(holder2.address)).to.equal(200);
+    });
+  });
+});
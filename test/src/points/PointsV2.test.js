@@ -0,0 +1,91 @@
+const {ethers} = require('hardhat');
+const {expect} = require('chai');
+const {getForwarderRegistryAddress} = require('@animoca/ethereum-contracts/test/helpers/registries');
+const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
+const {deployContract} = require('@animoca/ethereum-contract-helpers/src/test/deploy');
+const {getDomain, getNonce, signApprove, signSpend, signSpendAndCall} = require('../../../src/points/PointsV2');
+
+describe('PointsV2 signing helpers', function () {
+  let deployer, holder, spender;
+
+  const deadline = ethers.MaxUint256;
+
+  before(async function () {
+    [deployer, holder, spender] = await ethers.getSigners();
+  });
+
+  const fixture = async function () {
+    this.contract = await deployContract('PointsV2', await getForwarderRegistryAddress());
+    await this.contract.grantRole(await this.contract.DEPOSITOR_ROLE(), deployer.address);
+    await this.contract.deposit(holder.address, 1000n, ethers.ZeroHash);
+  };
+
+  beforeEach(async function () {
+    await loadFixture(fixture, this);
+  });
+
+  describe('getDomain(pointsContract)', function () {
+    it('returns the EIP-712 domain of the contract', async function () {
+      const domain = await getDomain(this.contract);
+      const [, name, version, chainId, verifyingContract] = await this.contract.eip712Domain();
+      expect(domain).to.deep.equal({name, version, chainId, verifyingContract});
+    });
+  });
+
+  describe('getNonce(pointsContract,holder,spender)', function () {
+    it('returns the current nonce', async function () {
+      expect(await getNonce(this.contract, holder.address, spender.address)).to.equal(0n);
+      await this.contract.connect(holder).cancelSignature(spender.address);
+      expect(await getNonce(this.contract, holder.address, spender.address)).to.equal(1n);
+    });
+  });
+
+  describe('signApprove(signer,pointsContract,approval)', function () {
+    it('produces signatures accepted by approveWithSignature', async function () {
+      for (const amount of [100n, 200n]) {
+        const approval = await signApprove(holder, this.contract, {spender: spender.address, amount, deadline});
+        await expect(this.contract.approveWithSignature(approval.holder, approval.spender, approval.amount, approval.deadline, approval.signature))
+          .to.emit(this.contract, 'Approval')
+          .withArgs(holder.address, spender.address, amount);
+      }
+      expect(await getNonce(this.contract, holder.address, spender.address)).to.equal(2n);
+    });
+
+    it('uses the provided nonce', async function () {
+      const approval = await signApprove(holder, this.contract, {spender: spender.address, amount: 100n, deadline, nonce: 1n});
+      expect(approval.nonce).to.equal(1n);
+      await expect(
+        this.contract.approveWithSignature(approval.holder, approval.spender, approval.amount, approval.deadline, approval.signature),
+      ).to.be.revertedWithCustomError(this.contract, 'InvalidSignature');
+    });
+  });
+
+  describe('signSpend(signer,pointsContract,spend)', function () {
+    it('produces signatures accepted by spendWithSignature', async function () {
+      const spend = await signSpend(holder, this.contract, {spender: spender.address, amount: 100n, deadline});
+      await expect(this.contract.connect(spender).spendWithSignature(spend.holder, spend.spender, spend.amount, spend.deadline, spend.signature))
+        .to.emit(this.contract, 'Spent')
+        .withArgs(spender.address, holder.address, 100n);
+    });
+  });
+
+  describe('signSpendAndCall(signer,pointsContract,spendAndCall)', function () {
+    it('produces signatures accepted by spendAndCallWithSignature', async function () {
+      const receiverContract = await deployContract('PointsV2SpendingCallbackMock', await this.contract.getAddress());
+      const target = await receiverContract.getAddress();
+      const spendAndCall = await signSpendAndCall(holder, this.contract, {amount: 100n, target, data: '0x1234', deadline});
+      await expect(
+        this.contract.spendAndCallWithSignature(
+          spendAndCall.holder,
+          spendAndCall.amount,
+          spendAndCall.target,
+          spendAndCall.data,
+          spendAndCall.deadline,
+          spendAndCall.signature,
+        ),
+      )
+        .to.emit(receiverContract, 'PointsSpent')
+        .withArgs(holder.address, 100n, '0x1234');
+    });
+  });
+});